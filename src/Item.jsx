@@ -2,36 +2,61 @@
 
 import React from 'react';
 
+import type { matchRangesType } from './fuzzy';
+
 type Props = {
   component: ReactClass<*>,
-  onSelectHandler: (Object | string) => void,
+  getItemProps: ({ index: number }) => Object,
   item: Object | string,
-  onClickHandler: SyntheticEvent => void,
+  index: number,
   selected: boolean,
+  className?: string,
+  componentProps?: Object,
+  setSize?: number,
+  matchRanges?: ?matchRangesType,
 };
 
-export default class Item extends React.Component {
-  selectItem = () => {
-    const { item, onSelectHandler } = this.props;
-    onSelectHandler(item);
+// rows of the long lists are re-rendered only when their props change
+export default class Item extends React.PureComponent {
+  static defaultProps = {
+    className: '',
+    componentProps: {},
+    setSize: 0,
+    matchRanges: (null: ?matchRangesType),
   };
 
   props: Props;
 
   render() {
-    const { component: Component, onClickHandler, item, selected } = this.props;
+    const {
+      component: Component,
+      getItemProps,
+      item,
+      selected,
+      index,
+      className,
+      componentProps,
+      setSize,
+      matchRanges,
+    } = this.props;
 
     return (
-      <li className="rta__item">
+      <li className={`rta__item ${className || ''}`} role="presentation">
         <div
-          className={`rta__entity ${selected === true ? 'rta__entity--selected' : ''}`}
-          role="button"
-          tabIndex={0}
-          onClick={onClickHandler}
-          onFocus={this.selectItem}
-          onMouseEnter={this.selectItem}
+          {...getItemProps({
+            index,
+            className: `rta__entity ${selected === true ? 'rta__entity--selected' : ''}`,
+            tabIndex: -1,
+            'aria-setsize': setSize || undefined,
+            'aria-posinset': setSize ? index + 1 : undefined,
+          })}
         >
-          <Component selected={selected} entity={item} />
+          <Component
+            selected={selected}
+            entity={item}
+            matchRanges={matchRanges}
+            {...componentProps}
+          />
         </div>
       </li>
     );
@@ -2,129 +2,380 @@
 
 import React from 'react';
 
-import Listeners, { KEY_CODES } from './listener';
 import Item from './Item';
+import { getSectionTitles } from './utils';
+import type { sectionType } from './utils';
+import type { matchRangesType } from './fuzzy';
 
 type Props = {
   values: Array<Object | string>,
   component: ReactClass<*>,
   getTextToReplace: (Object | string) => string,
-  onSelect: string => void,
+  getListProps: (props?: Object) => Object,
+  getItemProps: ({ index: number }) => Object,
+  highlightedIndex: number,
+  token: string,
+  trigger: ?string,
+  canCreate: boolean,
+  createComponent: ?ReactClass<*>,
+  hasMore: boolean,
+  onLoadMore: () => void,
+  itemKey: ?(Object | string, number) => string,
+  itemHeight: ?number,
+  sections: ?Array<sectionType>,
+  matchRanges: ?(Object | string, string) => ?matchRangesType,
 };
 
+// distance from the bottom of the list (in px) when the next page starts loading
+const LOAD_MORE_THRESHOLD = 50;
+
+// rows rendered above and below the visible ones in the virtualized list
+const OVERSCAN = 3;
+
+// used before the height of the virtualized list is known
+const DEFAULT_VISIBLE_ITEMS = 10;
+
+// the "create new" action row is highlighted and selected as any other item
+const CREATE_ITEM = {};
+const CREATE_ITEM_ID = 'rta__create';
+
+const DefaultCreateComponent = ({ token }: { token: string }) =>
+  <span>{`Create "${token}"`}</span>;
+
+// consecutive entries of the same section, entries without the section have no title
+type groupType = {|
+  title: ?string,
+  start: number,
+  end: number,
+|};
+
+// rows of the list are the section headers and the entries
+type layoutType = {|
+  groups: Array<groupType>,
+  entryCount: number,
+  rowCount: number,
+  rowOfEntry: Array<number>,
+|};
+
 type State = {
-  selectedItem: ?Object | ?string,
+  scrollTop: number,
+  viewportHeight: number,
 };
 
+/**
+ * Renders the entries highlighted by the textarea, which handles the keyboard
+ * and the mouse through the props of the list and of its items
+ */
 export default class List extends React.Component {
   state: State = {
-    selectedItem: null,
+    scrollTop: 0,
+    viewportHeight: 0,
   };
 
   componentDidMount() {
-    this.listeners.push(
-      Listeners.add([KEY_CODES.DOWN, KEY_CODES.UP], this.scroll),
-      Listeners.add([KEY_CODES.ENTER, KEY_CODES.TAB], this.onPressEnter),
-    );
+    const { highlightedIndex } = this.props;
 
-    const { values } = this.props;
-    if (values && values[0]) this.selectItem(values[0]);
+    if (highlightedIndex >= 0) this.scrollIntoView(highlightedIndex);
   }
 
-  componentWillReceiveProps({ values }: Props) {
-    if (values && values[0]) this.selectItem(values[0]);
-  }
+  componentDidUpdate(prevProps: Props) {
+    const { highlightedIndex, values } = this.props;
 
-  componentWillUnmount() {
-    let listener;
-    while (this.listeners.length) {
-      listener = this.listeners.pop();
-      Listeners.remove(listener);
+    if (
+      highlightedIndex >= 0 &&
+      (highlightedIndex !== prevProps.highlightedIndex || values !== prevProps.values)
+    ) {
+      this.scrollIntoView(highlightedIndex);
     }
   }
 
-  onPressEnter = (e: SyntheticEvent) => {
-    e.preventDefault();
-
+  // the "create new" action is the entry after the values
+  getEntry = (index: number): Object | string => {
     const { values } = this.props;
 
-    this.modifyText(values[this.getPositionInList()]);
+    return index < values.length ? values[index] : CREATE_ITEM;
   };
 
-  getPositionInList = () => {
-    const { values } = this.props;
-    const { selectedItem } = this.state;
+  /**
+   * React keys of the values, computed once per the values.
+   * Duplicate keys get a suffix, so they never collide.
+   */
+  getKeys = (): Array<string> => {
+    const { values, trigger, itemKey, getTextToReplace } = this.props;
+    const { keysCache } = this;
+
+    if (
+      keysCache &&
+      keysCache.values === values &&
+      keysCache.trigger === trigger
+    ) {
+      return keysCache.keys;
+    }
+
+    const used = {};
+    const keys = values.map((item, index) => {
+      let key = itemKey ? String(itemKey(item, index)) : getTextToReplace(item);
+      for (let suffix = 1; used[key]; suffix += 1) {
+        key = `${key}-${suffix}`;
+      }
+      used[key] = true;
 
-    if (!selectedItem) return 0;
+      return key;
+    });
 
-    return values.findIndex(a => this.getId(a) === this.getId(selectedItem));
+    this.keysCache = { values, trigger, keys };
+
+    return keys;
   };
 
-  getId = (item: Object | string): string => this.props.getTextToReplace(item);
+  /**
+   * Splits the entries into the sections, computed once per the values
+   */
+  getLayout = (): layoutType => {
+    const { values, sections, canCreate } = this.props;
+    const { layoutCache } = this;
 
-  props: Props;
+    if (
+      layoutCache &&
+      layoutCache.values === values &&
+      layoutCache.sections === sections &&
+      layoutCache.withCreate === canCreate
+    ) {
+      return layoutCache.layout;
+    }
+
+    const titles = getSectionTitles(values, sections);
+    // the "create new" row is never in a section
+    if (canCreate) titles.push(null);
+
+    const groups = [];
+    const rowOfEntry = [];
+    let rowCount = 0;
+    titles.forEach((title, index) => {
+      const group = groups[groups.length - 1];
+
+      if (group && group.title === title) {
+        group.end += 1;
+      } else {
+        groups.push({ title, start: index, end: index + 1 });
+        if (title !== null) rowCount += 1;
+      }
+
+      rowOfEntry.push(rowCount);
+      rowCount += 1;
+    });
 
-  listeners: Array<number> = [];
+    const layout = { groups, entryCount: titles.length, rowCount, rowOfEntry };
+    this.layoutCache = { values, sections, withCreate: canCreate, layout };
 
-  modifyText = (value: Object | string) => {
-    if (!value) return;
+    return layout;
+  };
+
+  /**
+   * Range of the rendered rows, all of them unless the list is virtualized
+   */
+  getRenderedRange = (): [number, number] => {
+    const { itemHeight } = this.props;
+    const { scrollTop, viewportHeight } = this.state;
+    const count = this.getLayout().rowCount;
 
-    const { onSelect, getTextToReplace } = this.props;
+    if (!itemHeight) return [0, count];
 
-    onSelect(getTextToReplace(value));
+    const visible = viewportHeight
+      ? Math.ceil(viewportHeight / itemHeight)
+      : DEFAULT_VISIBLE_ITEMS;
+    const start = Math.max(Math.floor(scrollTop / itemHeight) - OVERSCAN, 0);
+
+    return [start, Math.min(start + visible + (2 * OVERSCAN), count)];
   };
 
-  selectItem = (item: Object | string) => {
-    this.setState({ selectedItem: item });
+  props: Props;
+
+  keysCache: ?{
+    values: Array<Object | string>,
+    trigger: ?string,
+    keys: Array<string>,
   };
 
-  scroll = (e: KeyboardEvent) => {
-    e.preventDefault();
+  layoutCache: ?{
+    values: Array<Object | string>,
+    sections: ?Array<sectionType>,
+    withCreate: boolean,
+    layout: layoutType,
+  };
 
-    const { values } = this.props;
+  listRef: ?HTMLElement;
 
-    const code = e.keyCode || e.which;
-
-    const oldPosition = this.getPositionInList();
-    let newPosition;
-    switch (code) {
-      case KEY_CODES.DOWN:
-        newPosition = oldPosition + 1;
-        break;
-      case KEY_CODES.UP:
-        newPosition = oldPosition - 1;
-        break;
-      default:
-        newPosition = oldPosition;
-        break;
+  scrollHandler = () => {
+    const { listRef } = this;
+    const { hasMore, onLoadMore, itemHeight } = this.props;
+
+    if (!listRef) return;
+
+    if (itemHeight) {
+      this.setState({
+        scrollTop: listRef.scrollTop,
+        viewportHeight: listRef.clientHeight,
+      });
+    }
+
+    if (!hasMore) return;
+
+    if (
+      listRef.scrollTop + listRef.clientHeight >=
+      listRef.scrollHeight - LOAD_MORE_THRESHOLD
+    ) {
+      onLoadMore();
     }
+  };
+
+  // scrolls the list (and only the list) so the item is visible
+  scrollIntoView = (position: number) => {
+    const { listRef } = this;
+    const { itemHeight } = this.props;
+
+    if (listRef && itemHeight) {
+      const height = listRef.clientHeight || DEFAULT_VISIBLE_ITEMS * itemHeight;
+      const itemTop = this.getLayout().rowOfEntry[position] * itemHeight;
+      let { scrollTop } = listRef;
 
-    newPosition = (newPosition % values.length + values.length) % values.length; // eslint-disable-line
-    this.setState({ selectedItem: values[newPosition] });
+      if (itemTop < scrollTop) {
+        scrollTop = itemTop;
+      } else if (itemTop + itemHeight > scrollTop + height) {
+        scrollTop = (itemTop + itemHeight) - height;
+      }
+
+      listRef.scrollTop = scrollTop;
+      // the rendered rows are updated right away, not after the scroll event
+      if (scrollTop !== this.state.scrollTop) this.setState({ scrollTop });
+      return;
+    }
+
+    const item = listRef && listRef.querySelectorAll('.rta__item')[position];
+
+    if (!listRef || !item) return;
+
+    const listRect = listRef.getBoundingClientRect();
+    const itemRect = item.getBoundingClientRect();
+
+    if (itemRect.top < listRect.top) {
+      listRef.scrollTop -= listRect.top - itemRect.top;
+    } else if (itemRect.bottom > listRect.bottom) {
+      listRef.scrollTop += itemRect.bottom - listRect.bottom;
+    }
   };
 
-  isSelected = (item: Object | string): boolean => {
-    const { selectedItem } = this.state;
-    if (!selectedItem) return false;
+  renderItem = (item: Object | string, index: number) => {
+    const {
+      component,
+      token,
+      trigger,
+      createComponent,
+      itemHeight,
+      matchRanges,
+      getItemProps,
+      highlightedIndex,
+    } = this.props;
+    const commonProps = {
+      index,
+      selected: index === highlightedIndex,
+      item,
+      getItemProps,
+      // the screen readers don't see the rows which are not rendered
+      setSize: itemHeight ? this.getLayout().entryCount : 0,
+    };
 
-    return this.getId(selectedItem) === this.getId(item);
+    if (item === CREATE_ITEM) {
+      return (
+        <Item
+          key={CREATE_ITEM_ID}
+          className="rta__item--create"
+          component={createComponent || DefaultCreateComponent}
+          componentProps={{ token, trigger }}
+          {...commonProps}
+        />
+      );
+    }
+
+    return (
+      <Item
+        key={this.getKeys()[index]}
+        component={component}
+        matchRanges={matchRanges ? matchRanges(item, token) : null}
+        {...commonProps}
+      />
+    );
+  };
+
+  renderGroup = (group: groupType, index: number, start: number, end: number) => {
+    const { id } = this.props.getListProps();
+    const { title } = group;
+    const { rowOfEntry } = this.getLayout();
+    const items = [];
+
+    for (let entry = group.start; entry < group.end; entry += 1) {
+      const row = rowOfEntry[entry];
+      if (row >= start && row < end) {
+        items.push(this.renderItem(this.getEntry(entry), entry));
+      }
+    }
+
+    if (title === null || title === undefined) return items;
+
+    const headerRow = rowOfEntry[group.start] - 1;
+    const headerId = `${id}-section-${index}`;
+    const isHeaderRendered = headerRow >= start && headerRow < end;
+
+    if (!isHeaderRendered && !items.length) return null;
+
+    // the header is not rendered when it's scrolled out of the virtualized list
+    return (
+      <li
+        key={headerId}
+        className="rta__section"
+        role="group"
+        aria-labelledby={isHeaderRendered ? headerId : undefined}
+        aria-label={isHeaderRendered ? undefined : title}
+      >
+        {isHeaderRendered &&
+          <div className="rta__section-header" id={headerId}>
+            {title}
+          </div>}
+        <ul className="rta__section-list" role="presentation">
+          {items}
+        </ul>
+      </li>
+    );
   };
 
   render() {
-    const { values, component } = this.props;
+    const { getListProps, itemHeight } = this.props;
+    const { groups, rowCount } = this.getLayout();
+    const [start, end] = this.getRenderedRange();
 
     return (
-      <ul className="rta__list">
-        {values.map(item =>
-          (<Item
-            key={this.getId(item)}
-            selected={this.isSelected(item)}
-            item={item}
-            onClickHandler={this.onPressEnter}
-            onSelectHandler={this.selectItem}
-            component={component}
-          />),
-        )}
+      <ul
+        {...getListProps({
+          className: 'rta__list',
+          ref: ref => (this.listRef = ref),
+          onScroll: this.scrollHandler,
+        })}
+      >
+        {itemHeight &&
+          start > 0 &&
+          <li
+            className="rta__spacer"
+            role="presentation"
+            style={{ height: start * itemHeight }}
+          />}
+        {groups.map((group, index) => this.renderGroup(group, index, start, end))}
+        {itemHeight &&
+          end < rowCount &&
+          <li
+            className="rta__spacer"
+            role="presentation"
+            style={{ height: (rowCount - end) * itemHeight }}
+          />}
       </ul>
     );
   }
@@ -0,0 +1,68 @@
+// @flow
+
+import React from 'react';
+import ReactDOM from 'react-dom';
+
+type Props = {
+  children: React$Element<*>,
+  target: HTMLElement | (() => ?HTMLElement),
+};
+
+// Renders its children into the target DOM node. It uses ReactDOM.createPortal when it's available
+// (React >= 16), otherwise it falls back to the legacy unstable_renderSubtreeIntoContainer.
+export default class Portal extends React.Component {
+  state: { target: ?HTMLElement } = {
+    target: null,
+  };
+
+  componentDidMount() {
+    const { target } = this.props;
+    const targetNode = typeof target === 'function' ? target() : target;
+
+    if (!targetNode) return;
+
+    if (!ReactDOM.createPortal) {
+      this.container = document.createElement('div');
+      targetNode.appendChild(this.container);
+      this.renderLegacy();
+    }
+
+    // eslint-disable-next-line react/no-did-mount-set-state
+    this.setState({ target: targetNode });
+  }
+
+  componentDidUpdate() {
+    this.renderLegacy();
+  }
+
+  componentWillUnmount() {
+    const { container } = this;
+    if (!container) return;
+
+    ReactDOM.unmountComponentAtNode(container);
+    if (container.parentNode) container.parentNode.removeChild(container);
+    this.container = null;
+  }
+
+  props: Props;
+
+  container: ?HTMLElement = null;
+
+  renderLegacy() {
+    if (!this.container) return;
+
+    ReactDOM.unstable_renderSubtreeIntoContainer(
+      this,
+      this.props.children,
+      this.container,
+    );
+  }
+
+  render() {
+    const { target } = this.state;
+
+    if (!target || !ReactDOM.createPortal) return null;
+
+    return ReactDOM.createPortal(this.props.children, target);
+  }
+}
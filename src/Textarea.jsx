@@ -2,52 +2,207 @@
 
 import React from 'react';
 import PropTypes from 'prop-types';
-import getCaretCoordinates from 'textarea-caret';
 
-import Listeners, { KEY_CODES } from './listener';
+import Listener, { DEFAULT_KEY_BINDINGS } from './listener';
+import type { keyBindingsType } from './listener';
 import List from './List';
+import Portal from './Portal';
+import EditHistory from './history';
+import type { snapshotType } from './history';
+import { addEntity, getChangedRange, updateEntities } from './entities';
+import type { entityType } from './entities';
+import ResultsCache from './cache';
+import type { cacheSettingsType } from './cache';
+import {
+  getCaretRect,
+  getDropdownPosition,
+  getTextDirection,
+  getViewportSize,
+} from './position';
+import type { caretRectType, directionType } from './position';
+import type { matchRangesType } from './fuzzy';
+import UsageTracker from './usage';
+import type { usageSettingsType } from './usage';
+import {
+  BIDI_CONTROLS,
+  SCROLL_ACTIONS,
+  getNextPosition,
+  createAbortController,
+  createTriggerMatcher,
+  normalizeOutput,
+  normalizeProviderResult,
+} from './utils';
+import type {
+  activationType,
+  normalizedOutputType,
+  outputType,
+  scrollActionType,
+  sectionType,
+  triggerMatchType,
+} from './utils';
+
+type dataProviderOptionsType = {|
+  signal: ?Object,
+  offset: number,
+|};
+
+type providerResultType =
+  | Array<Object | string>
+  | { items: Array<Object | string>, hasMore?: boolean }
+  | {
+      sections: Array<{ title: string, items: Array<Object | string> }>,
+      hasMore?: boolean,
+    };
 
-type dataProviderType = string =>
-  | Promise<Array<Object | string>>
-  | Array<Object | string>;
+type dataProviderType = (
+  string,
+  dataProviderOptionsType,
+) => Promise<providerResultType> | providerResultType;
 
-type settingType = {
-  component: ReactClass<*>,
+type settingType = {|
+  component?: ReactClass<*>,
   dataProvider: dataProviderType,
-  output?: (Object | string, ?string) => string,
-};
+  output?: (Object | string, ?string) => outputType,
+  activation?: activationType,
+  allowedChars?: RegExp,
+  allowWhitespace?: boolean,
+  maxWords?: number,
+  debounce?: number,
+  throttle?: number,
+  cache?: boolean | cacheSettingsType,
+  noResultsComponent?: ReactClass<*>,
+  onCreate?: (string, string) => Object | string | Promise<Object | string>,
+  createComponent?: ReactClass<*>,
+  itemKey?: (Object | string, number) => string,
+  itemHeight?: number,
+  matchRanges?: (Object | string, string) => ?matchRangesType,
+  recent?: boolean | usageSettingsType,
+|};
 
 type getTextToReplaceType = (Object | string) => string;
 
-type triggerType = {
-  [string]: {|
-    output?: (Object | string, ?string) => string,
-    dataProvider: dataProviderType,
-    component: ReactClass<*>,
-  |},
+type triggerType = { [string]: settingType };
+
+type a11yMessagesType = {
+  loading?: string,
+  results?: number => string,
+  noResults?: string,
 };
 
+const DEFAULT_A11Y_MESSAGES = {
+  loading: 'Loading suggestions…',
+  results: (count: number) =>
+    (count === 1 ? '1 suggestion available' : `${count} suggestions available`),
+  noResults: 'No suggestions found',
+};
+
+export type closeReasonType =
+  | 'dismiss'
+  | 'blur'
+  | 'noMatch'
+  | 'selection'
+  | 'api';
+
+export type queryInfoType = {|
+  trigger: string,
+  token: string,
+  duration: number,
+  count: number,
+  fromCache: boolean,
+  error: ?Error,
+|};
+
+// the component used instead of the textarea, "ref" is the name of the prop
+// which the component uses for passing the DOM node of the textarea or input up
+type textAreaComponentType =
+  | string
+  | ReactClass<*>
+  | {| component: ReactClass<*>, ref: string |};
+
+// state and props getters of the headless mode, when children is a function
+export type renderPropsType = {|
+  getTextareaProps: (props?: Object) => Object,
+  getListProps: (props?: Object) => Object,
+  getItemProps: ({ index: number }) => Object,
+  isOpen: boolean,
+  trigger: ?string,
+  token: string,
+  items: Array<Object | string>,
+  sections: ?Array<sectionType>,
+  highlightedIndex: number,
+  loading: boolean,
+  loadingMore: boolean,
+  hasMore: boolean,
+  error: ?Error,
+  caret: ?caretRectType,
+  direction: directionType,
+  selectItem: (Object | string) => void,
+  highlightItem: number => void,
+  canCreate: boolean,
+  createItem: () => void,
+  loadMore: () => void,
+  retry: () => void,
+  close: () => void,
+|};
+
 type Props = {
   trigger: triggerType,
-  loadingComponent: ReactClass<*>,
+  loadingComponent?: ReactClass<*>,
+  errorComponent?: ReactClass<*>,
+  onError?: (Error, ?string) => void,
   onChange?: (SyntheticEvent | Event) => void,
+  onBlur?: (SyntheticFocusEvent) => void,
+  onItemSelected?: (Object | string, string) => void,
+  onItemHighlighted?: (Object | string, string) => void,
+  onSuggestionsOpen?: string => void,
+  onSuggestionsClose?: (closeReasonType, string) => void,
+  onQuery?: queryInfoType => void,
   minChar?: number,
+  keyBindings?: keyBindingsType,
   value?: string,
   style?: Object,
   containerStyle?: Object,
+  id?: string,
+  a11yMessages?: a11yMessagesType,
+  renderToBody?: boolean,
+  portalTarget?: HTMLElement | (() => ?HTMLElement),
+  textAreaComponent?: textAreaComponentType,
+  innerRef?: (?HTMLInputElement) => void,
+  defaultEntities?: Array<entityType>,
+  onEntitiesChange?: (Array<entityType>) => void,
+  atomicEntities?: boolean,
+  children?: renderPropsType => React$Element<*>,
 };
 
+// whitespace and bidi controls delimit the word after the caret which is replaced by the output
+const WORD_CHAR = new RegExp(`[^\\s${BIDI_CONTROLS}]`);
+
+// used for generating ids of the listbox and its options when the id prop is not set,
+// the ids are generated after the mount, so the server-rendered markup matches the hydrated one
+let instanceCounter = 0;
+
 type State = {
   currentTrigger: ?string,
   top: number,
   left: number,
+  placement: 'bottom' | 'top',
+  direction: directionType,
+  tokenStart: number,
+  entities: Array<entityType>,
   actualToken: string,
   data: ?Array<Object | string>,
+  sections: ?Array<sectionType>,
   value: string,
   dataLoading: boolean,
+  loadingMore: boolean,
+  hasMore: boolean,
   selectionEnd: number,
   selectionStart: number,
   component: ?ReactClass<*>,
+  error: ?Error,
+  highlightedIndex: number,
+  generatedId: ?string,
+  caret: ?caretRectType,
 };
 
 class ReactTextareaAutocomplete extends React.Component {
@@ -56,91 +211,210 @@ class ReactTextareaAutocomplete extends React.Component {
     style: {},
     containerStyle: {},
     minChar: 1,
+    keyBindings: {},
+    a11yMessages: {},
+    id: undefined,
+    renderToBody: false,
+    portalTarget: undefined,
+    textAreaComponent: 'textarea',
+    innerRef: undefined,
+    defaultEntities: [],
+    onEntitiesChange: undefined,
+    atomicEntities: false,
+    errorComponent: undefined,
+    onError: undefined,
     onChange: undefined,
+    onBlur: undefined,
+    onItemSelected: undefined,
+    onItemHighlighted: undefined,
+    onSuggestionsOpen: undefined,
+    onSuggestionsClose: undefined,
+    onQuery: undefined,
+    children: undefined,
+    loadingComponent: undefined,
   };
 
   constructor(props: Props) {
     super(props);
 
-    Listeners.add(KEY_CODES.ESC, () => this.closeAutocomplete());
+    this.keyListener = new Listener();
 
-    const { loadingComponent, trigger, value } = this.props;
+    const {
+      loadingComponent,
+      trigger,
+      value,
+      defaultEntities,
+      children,
+    } = this.props;
 
-    if (value) this.state.value = value;
-    this.tokenRegExp = new RegExp(`[${Object.keys(trigger).join('')}]\\w*$`);
+    this.triggerMatcher = createTriggerMatcher(trigger);
 
-    if (!loadingComponent) {
+    // the headless mode renders its own loader
+    if (!loadingComponent && typeof children !== 'function') {
       throw new Error('RTA: loadingComponent is not defined');
     }
 
     if (!trigger) {
       throw new Error('RTA: trigger is not defined');
     }
+
+    this.state = {
+      top: 0,
+      left: 0,
+      placement: 'bottom',
+      direction: 'ltr',
+      tokenStart: 0,
+      entities: defaultEntities || [],
+      currentTrigger: null,
+      actualToken: '',
+      data: null,
+      sections: null,
+      value: value || '',
+      dataLoading: false,
+      loadingMore: false,
+      hasMore: false,
+      selectionEnd: 0,
+      selectionStart: 0,
+      component: null,
+      error: null,
+      highlightedIndex: -1,
+      generatedId: null,
+      caret: null,
+    };
   }
 
-  state: State = {
-    top: 0,
-    left: 0,
-    currentTrigger: null,
-    actualToken: '',
-    data: null,
-    value: '',
-    dataLoading: false,
-    selectionEnd: 0,
-    selectionStart: 0,
-    component: null,
-  };
+  state: State;
 
   componentDidMount() {
-    Listeners.startListen();
+    if (!this.state.generatedId) {
+      instanceCounter += 1;
+      // eslint-disable-next-line react/no-did-mount-set-state
+      this.setState({ generatedId: `rta-${instanceCounter}` });
+    }
+
+    // the textarea is already known when the component is mounted again (e.g. in StrictMode)
+    if (this.textareaRef) this.keyListener.startListen(this.textareaRef);
+
+    this.keyListener.add(
+      () => this.getKeyBindings().dismiss,
+      () => this.closeAutocomplete('dismiss'),
+    );
+    this.keyListener.add(
+      this.getRetryKeyBindings,
+      (e: KeyboardEvent) => {
+        e.preventDefault();
+        this.retry();
+      },
+    );
+    this.keyListener.add(this.getUndoKeyBindings, (e: KeyboardEvent) => {
+      e.preventDefault();
+      this.undo();
+    });
+    this.keyListener.add(this.getRedoKeyBindings, (e: KeyboardEvent) => {
+      e.preventDefault();
+      this.redo();
+    });
+    this.keyListener.add(
+      () => this.getEntityKeys('Backspace'),
+      (e: KeyboardEvent) => this.deleteEntity(e, 'Backspace'),
+    );
+    this.keyListener.add(
+      () => this.getEntityKeys('Delete'),
+      (e: KeyboardEvent) => this.deleteEntity(e, 'Delete'),
+    );
+
+    // the keys move the highlight only while the list is displayed
+    SCROLL_ACTIONS.forEach((action) => {
+      this.keyListener.add(
+        () => (this.isListVisible() ? this.getKeyBindings()[action] : null),
+        (e: KeyboardEvent) => {
+          e.preventDefault();
+          this.navigate(action);
+        },
+      );
+    });
+    this.keyListener.add(
+      () => (this.isListVisible() ? this.getKeyBindings().commit : null),
+      this.commitHighlighted,
+    );
   }
 
-  componentWillReceiveProps(nextProps: Props) {
-    this.update(nextProps);
+  componentDidUpdate(prevProps: Props, prevState: State) {
+    // new props object means the parent has re-rendered, own state updates keep the props
+    if (prevProps !== this.props) this.update(prevProps);
+
+    const { onEntitiesChange } = this.props;
+    if (onEntitiesChange && prevState.entities !== this.state.entities) {
+      onEntitiesChange(this.state.entities);
+    }
+
+    this.updateHighlight(prevState);
+
+    if (this.isHeadless() ? !this.isOpen() : !this.dropdownRef) {
+      this.stopTrackingPosition();
+      return;
+    }
+
+    const wasTracking = this.isTrackingPosition;
+    this.startTrackingPosition();
+
+    // the size of the dropdown or the position of the caret could have changed
+    if (
+      !wasTracking ||
+      ['selectionEnd', 'value', 'data', 'dataLoading', 'error'].some(
+        key => prevState[key] !== this.state[key],
+      )
+    ) {
+      this.updatePosition();
+    }
   }
 
   componentWillUnmount() {
-    Listeners.stopListen();
+    this.stopTrackingPosition();
+    this.cancelRequest();
+    this.keyListener.removeAll();
+    this.keyListener.stopListen();
   }
 
-  onSelect = (newToken: string) => {
-    const { selectionEnd, value: textareaValue } = this.state;
-    const { onChange } = this.props;
+  onSelect = (item: Object | string) => {
+    const { value, tokenStart, currentTrigger, actualToken } = this.state;
+    const { onItemSelected } = this.props;
+    const output = this.getOutput(item);
 
-    let offsetToEndOfToken = 0;
-    while (
-      textareaValue[selectionEnd + offsetToEndOfToken] &&
-      /\S/.test(textareaValue[selectionEnd + offsetToEndOfToken])
-    ) {
-      offsetToEndOfToken += 1;
+    if (!output || !currentTrigger) return;
+
+    const { text, caretPosition, keepWordAfterCaret } = output;
+
+    // the trigger and the token are replaced, optionally with the rest of the word after the caret
+    let tokenEnd = tokenStart + currentTrigger.length + actualToken.length;
+    if (!keepWordAfterCaret) {
+      while (value[tokenEnd] && WORD_CHAR.test(value[tokenEnd])) {
+        tokenEnd += 1;
+      }
     }
 
-    const textToModify = textareaValue.slice(
-      0,
-      selectionEnd + offsetToEndOfToken,
+    const tracker = this.getUsageTracker();
+    if (tracker) tracker.track(this.getItemKey(item), item);
+
+    this.replaceText(
+      tokenStart,
+      tokenEnd,
+      text,
+      tokenStart + caretPosition,
+      undefined,
+      text
+        ? { item, trigger: currentTrigger, start: tokenStart, end: tokenStart + text.length }
+        : null,
     );
+    if (onItemSelected) onItemSelected(item, currentTrigger);
+    this.closeAutocomplete('selection');
+  };
 
-    const startOfTokenPosition = textToModify.search(/\S*$/);
-    const newCaretPosition = startOfTokenPosition + newToken.length;
-    const modifiedText =
-      textToModify.substring(0, startOfTokenPosition) + newToken;
-
-    // set the new textarea value and after that set the caret back to its position
-    this.setState(
-      {
-        value: textareaValue.replace(textToModify, modifiedText),
-        dataLoading: false,
-      },
-      () => {
-        // fire onChange event after successful selection
-        const e = new Event('change', { bubbles: true });
-        this.textareaRef.dispatchEvent(e);
-        if (onChange) onChange(e);
+  onBlur = (e: SyntheticFocusEvent) => {
+    const { onBlur } = this.props;
 
-        this.setTextareaCaret(newCaretPosition);
-      },
-    );
-    this.closeAutocomplete();
+    this.closeAutocomplete('blur');
+    if (onBlur) onBlur(e);
   };
 
   getTextToReplace = (): ?getTextToReplaceType => {
@@ -149,30 +423,270 @@ class ReactTextareaAutocomplete extends React.Component {
 
     if (!currentTrigger || !triggerSettings) return () => '';
 
+    return (item: Object | string) => {
+      const output = this.getOutput(item);
+
+      return output ? output.text : '';
+    };
+  };
+
+  getOutput = (item: Object | string): ?normalizedOutputType => {
+    const { currentTrigger } = this.state;
+    const triggerSettings = this.getCurrentTriggerSettings();
+
+    if (!currentTrigger || !triggerSettings) return null;
+
     const { output } = triggerSettings;
 
-    return (item: Object | string) => {
-      if (
-        typeof item === 'object' &&
-        (!output || typeof output !== 'function')
-      ) {
-        throw new Error('RTA: Output function is not defined!');
-      }
+    if (
+      typeof item === 'object' &&
+      (!output || typeof output !== 'function')
+    ) {
+      throw new Error('RTA: Output function is not defined!');
+    }
 
-      if (output) {
-        return output(item, currentTrigger);
-      }
+    if (output) {
+      return normalizeOutput(output(item, currentTrigger));
+    }
 
-      // $FlowFixMe
-      return `${currentTrigger}${item}${currentTrigger}`;
-    };
+    // $FlowFixMe
+    return normalizeOutput(`${currentTrigger}${item}${currentTrigger}`);
   };
 
   setTextareaCaret = (position: number = 0) => {
-    if (!this.textareaRef) return;
+    const { textareaRef } = this;
+    if (!textareaRef) return;
+
+    textareaRef.focus();
+    textareaRef.setSelectionRange(position, position);
+  };
+
+  /**
+   * Receives the DOM node of the textarea or input,
+   * the custom component has to forward it through the ref prop
+   */
+  setTextareaRef = (ref: ?HTMLElement) => {
+    const { innerRef } = this.props;
+
+    if (ref && !['TEXTAREA', 'INPUT'].includes(ref.nodeName)) {
+      throw new Error(
+        'RTA: textAreaComponent has to pass the textarea or input element to its ref prop!',
+      );
+    }
+
+    const textarea: ?HTMLInputElement = (ref: any);
+    if (textarea === this.textareaRef) return;
+
+    this.textareaRef = textarea;
+    if (textarea) {
+      this.keyListener.startListen(textarea);
+    } else {
+      this.keyListener.stopListen();
+    }
+
+    if (innerRef) innerRef(textarea);
+  };
+
+  getTextAreaComponent = (): {| component: ReactClass<*> | string, ref: string |} => {
+    const { textAreaComponent } = this.props;
+
+    if (textAreaComponent && typeof textAreaComponent === 'object') {
+      const { component, ref } = textAreaComponent;
+      return { component, ref };
+    }
 
-    this.textareaRef.focus();
-    this.textareaRef.setSelectionRange(position, position);
+    return { component: textAreaComponent || 'textarea', ref: 'ref' };
+  };
+
+  /**
+   * Public API: returns the position of the caret in the textarea
+   */
+  getCaretPosition = (): number => {
+    if (!this.textareaRef) return 0;
+
+    return this.textareaRef.selectionEnd;
+  };
+
+  /**
+   * Public API: focuses the textarea and moves the caret to the position
+   */
+  setCaretPosition = (position: number) => {
+    this.setTextareaCaret(position);
+  };
+
+  /**
+   * Public API: returns the highlighted item of the suggestion list,
+   * null when the list is closed or the "create new" action is highlighted
+   */
+  getSelectedItem = (): ?(Object | string) => {
+    const { highlightedIndex } = this.state;
+    const suggestions = this.getSuggestions();
+
+    if (!suggestions || highlightedIndex < 0) return null;
+
+    return suggestions[highlightedIndex] || null;
+  };
+
+  getKeyBindings = (): keyBindingsType => ({
+    ...DEFAULT_KEY_BINDINGS,
+    ...this.props.keyBindings,
+  });
+
+  // retry is possible only when the error is displayed
+  getRetryKeyBindings = () => {
+    const { error } = this.state;
+    const { errorComponent } = this.props;
+
+    if (!error || !errorComponent) return null;
+
+    return this.getKeyBindings().retry;
+  };
+
+  // the fallback history handles only its own edits, otherwise the native undo is kept
+  getUndoKeyBindings = () => {
+    if (!this.history.canUndo(this.state.value)) return null;
+
+    return this.getKeyBindings().undo;
+  };
+
+  /**
+   * Returns the entity which would be edited by Backspace or Delete at the collapsed caret
+   */
+  getEntityAtCaret = (key: 'Backspace' | 'Delete'): ?entityType => {
+    const { textareaRef } = this;
+    if (!textareaRef || textareaRef.selectionStart !== textareaRef.selectionEnd) {
+      return null;
+    }
+
+    const caret = textareaRef.selectionEnd;
+
+    return this.state.entities.find(({ start, end }) =>
+      (key === 'Backspace' ? caret > start && caret <= end : caret >= start && caret < end),
+    );
+  };
+
+  // Backspace and Delete are handled only when they would edit an entity
+  getEntityKeys = (key: 'Backspace' | 'Delete') => {
+    if (!this.props.atomicEntities || !this.getEntityAtCaret(key)) return null;
+
+    return [key];
+  };
+
+  /**
+   * Public API: returns the inserted entities with their positions in the value
+   */
+  getEntities = (): Array<entityType> => this.state.entities;
+
+  getRedoKeyBindings = () => {
+    if (!this.history.canRedo(this.state.value)) return null;
+
+    return this.getKeyBindings().redo;
+  };
+
+  getBaseId = (): ?string => this.props.id || this.state.generatedId;
+
+  // the list is displayed only after the mount, when the id is always known
+  getListId = (): string => `${this.getBaseId() || 'rta'}-listbox`;
+
+  getTextareaProps = (props: Object = {}): Object => {
+    const { value, highlightedIndex } = this.state;
+    const listId = this.getListId();
+    const isListVisible = this.isListVisible();
+
+    return {
+      ...props,
+      ref: this.setTextareaRef,
+      value,
+      onChange: (e: SyntheticInputEvent) => {
+        this.changeHandler(e);
+        if (props.onChange) props.onChange(e);
+      },
+      onBlur: (e: SyntheticFocusEvent) => {
+        this.onBlur(e);
+        if (props.onBlur) props.onBlur(e);
+      },
+      role: 'combobox',
+      'aria-autocomplete': 'list',
+      'aria-expanded': isListVisible,
+      'aria-controls': this.getBaseId() ? listId : undefined,
+      'aria-activedescendant':
+        isListVisible && highlightedIndex >= 0
+          ? `${listId}-option-${highlightedIndex}`
+          : undefined,
+    };
+  };
+
+  getListProps = (props: Object = {}): Object => ({
+    ...props,
+    id: this.getListId(),
+    role: 'listbox',
+    // pressing the scrollbar or a section header doesn't blur the textarea
+    onMouseDown: (e: SyntheticEvent) => {
+      this.preventBlur(e);
+      if (props.onMouseDown) props.onMouseDown(e);
+    },
+  });
+
+  getItemProps = ({ index, ...props }: { index: number }): Object => ({
+    ...props,
+    id: `${this.getListId()}-option-${index}`,
+    role: 'option',
+    'aria-selected': index === this.state.highlightedIndex,
+    onMouseEnter: () => this.highlightItem(index),
+    onMouseDown: this.preventBlur,
+    onClick: () => this.selectEntry(index),
+  });
+
+  getRenderProps = (): renderPropsType => {
+    const {
+      currentTrigger,
+      actualToken,
+      sections,
+      highlightedIndex,
+      dataLoading,
+      loadingMore,
+      hasMore,
+      error,
+      caret,
+      direction,
+    } = this.state;
+
+    return {
+      getTextareaProps: this.getTextareaProps,
+      getListProps: this.getListProps,
+      getItemProps: this.getItemProps,
+      isOpen: this.isOpen(),
+      trigger: currentTrigger,
+      token: actualToken,
+      items: this.getSuggestions() || [],
+      sections,
+      highlightedIndex,
+      loading: dataLoading,
+      loadingMore,
+      hasMore,
+      error,
+      caret,
+      direction,
+      selectItem: this.onSelect,
+      highlightItem: this.highlightItem,
+      canCreate: this.canCreateItem(),
+      createItem: this.createItem,
+      loadMore: this.loadMore,
+      retry: this.retry,
+      close: this.closeSuggestions,
+    };
+  };
+
+  getA11yMessage = (): string => {
+    const { dataLoading } = this.state;
+    const messages = { ...DEFAULT_A11Y_MESSAGES, ...this.props.a11yMessages };
+    const suggestionData = this.getSuggestions();
+
+    if (dataLoading) return messages.loading;
+    if (!suggestionData) return '';
+    if (!suggestionData.length) return messages.noResults;
+
+    return messages.results(suggestionData.length);
   };
 
   getCurrentTriggerSettings = (): ?settingType => {
@@ -191,75 +705,699 @@ class ReactTextareaAutocomplete extends React.Component {
       return;
     }
 
-    const { dataProvider, component } = triggerSettings;
+    const { debounce, throttle, component } = triggerSettings;
 
-    if (typeof dataProvider !== 'function') {
-      throw new Error('RTA: Trigger provider has to be a function!');
+    this.cancelRequest();
+
+    const tracker = this.getUsageTracker();
+    if (tracker && !tracker.loaded) {
+      const requestId = this.lastRequestId;
+
+      this.setState({ dataLoading: true, error: null });
+      tracker.load().then(() => {
+        // the suggestions could be closed or the component unmounted meanwhile
+        if (requestId === this.lastRequestId) this.getValuesFromProvider();
+      });
+      return;
+    }
+
+    // the recently used items are shown before the user types anything
+    const recent = tracker && !actualToken ? tracker.getRecent() : [];
+    if (recent.length) {
+      this.setState({
+        dataLoading: false,
+        loadingMore: false,
+        hasMore: false,
+        data: recent,
+        sections: null,
+        component,
+        error: null,
+      });
+      return;
+    }
+
+    const cache = this.getCache();
+    const cachedData = cache && cache.get(actualToken);
+    if (cache && cachedData) {
+      const sections = cache.getSections(actualToken);
+
+      this.setState({
+        dataLoading: false,
+        loadingMore: false,
+        hasMore: false,
+        data: this.rankByUsage(cachedData, sections),
+        sections,
+        component,
+        error: null,
+      });
+      this.reportQuery({ duration: 0, data: cachedData, fromCache: true });
+      return;
     }
 
     this.setState({
       dataLoading: true,
+      loadingMore: false,
+      error: null,
     });
 
-    let providedData = dataProvider(actualToken);
+    let wait = 0;
+    if (debounce) {
+      wait = debounce;
+    } else if (throttle) {
+      wait = (this.lastRequestTime + throttle) - Date.now();
+    }
 
-    if (!(providedData instanceof Promise)) {
-      providedData = Promise.resolve(providedData);
+    if (wait > 0) {
+      this.requestTimeout = setTimeout(() => this.requestValues(), wait);
+      return;
     }
 
-    providedData
-      .then((data) => {
-        if (typeof providedData !== 'object') {
-          throw new Error('RTA: Trigger provider has to provide an array!');
-        }
+    this.requestValues();
+  };
 
-        if (typeof component !== 'function') {
-          throw new Error('RTA: Component should be defined!');
-        }
+  getCache = (): ?ResultsCache => {
+    const { currentTrigger } = this.state;
+    const triggerSettings = this.getCurrentTriggerSettings();
 
-        this.setState({
-          dataLoading: false,
-          data,
-          component,
-        });
-      })
-      .catch((e) => {
-        throw new Error(`RTA: dataProvider fails: ${e.message}`);
+    if (!currentTrigger || !triggerSettings || !triggerSettings.cache) {
+      return null;
+    }
+
+    if (!this.caches[currentTrigger]) {
+      const { cache } = triggerSettings;
+      this.caches[currentTrigger] = new ResultsCache(
+        typeof cache === 'object' ? cache : {},
+      );
+    }
+
+    return this.caches[currentTrigger];
+  };
+
+  getUsageTracker = (): ?UsageTracker => {
+    const { currentTrigger } = this.state;
+    const triggerSettings = this.getCurrentTriggerSettings();
+
+    if (!currentTrigger || !triggerSettings || !triggerSettings.recent) {
+      return null;
+    }
+
+    if (!this.usageTrackers[currentTrigger]) {
+      const { recent } = triggerSettings;
+      this.usageTrackers[currentTrigger] = new UsageTracker({
+        storageKey: `rta-usage-${currentTrigger}`,
+        ...(typeof recent === 'object' ? recent : {}),
       });
+    }
+
+    return this.usageTrackers[currentTrigger];
+  };
+
+  /**
+   * Key of the item to track its usage, it's the output text unless itemKey is defined.
+   * The index is the position in the ranked items, or in the displayed suggestions by default.
+   */
+  getItemKey = (
+    item: Object | string,
+    index: number = (this.state.data || []).indexOf(item),
+  ): string => {
+    const triggerSettings = this.getCurrentTriggerSettings();
+
+    const itemKey = triggerSettings && triggerSettings.itemKey;
+
+    if (itemKey) {
+      return String(itemKey(item, index));
+    }
+
+    const output = this.getOutput(item);
+    return output ? output.text : '';
   };
 
+  /**
+   * Returns null when there are no suggestions to display
+   * and an empty array when no item matches the token
+   */
   getSuggestions = (): ?Array<Object | string> => {
     const { currentTrigger, data } = this.state;
 
-    if (!currentTrigger || !data || (data && !data.length)) return null;
+    if (!currentTrigger || !data) return null;
 
     return data;
   };
 
-  update({ value, trigger }: Props) {
+  /**
+   * Count of the entries of the list, the "create new" action is after the items
+   */
+  getEntryCount = (): number => {
+    const suggestionData = this.getSuggestions();
+
+    if (!suggestionData) return 0;
+
+    return suggestionData.length + (this.canCreateItem() ? 1 : 0);
+  };
+
+  // keeps the focus in the textarea, so pressing the mouse anywhere in the dropdown
+  // (an item, the retry action, the scrollbar…) doesn't close it before the click
+  preventBlur = (e: SyntheticEvent) => {
+    e.preventDefault();
+  };
+
+  // the sections are already ordered by the provider
+  rankByUsage = (
+    items: Array<Object | string>,
+    sections: ?Array<sectionType>,
+  ): Array<Object | string> => {
+    const tracker = this.getUsageTracker();
+
+    if (!tracker || sections) return items;
+
+    return tracker.rank(items, this.getItemKey);
+  };
+
+  canCreateItem = (): boolean => {
+    const { actualToken } = this.state;
+    const triggerSettings = this.getCurrentTriggerSettings();
+
+    return !!(triggerSettings && triggerSettings.onCreate && actualToken);
+  };
+
+  update(prevProps: Props) {
+    const { value, trigger } = this.props;
     const { value: oldValue } = this.state;
-    const { trigger: oldTrigger } = this.props;
 
-    if (value !== oldValue || !oldValue) this.setState({ value });
-    if (trigger !== oldTrigger || !this.tokenRegExp) {
-      this.tokenRegExp = new RegExp(`[${Object.keys(trigger).join('')}]\\w*$`);
+    if (value !== oldValue || !oldValue) this.updateValue(value || '');
+    if (trigger !== prevProps.trigger) {
+      this.triggerMatcher = createTriggerMatcher(trigger);
+
+      // the inline trigger object is new on every render of the parent,
+      // so only the results of the removed (or not cached) triggers are dropped
+      Object.keys(this.caches).forEach((triggerChar) => {
+        if (!trigger[triggerChar] || !trigger[triggerChar].cache) {
+          delete this.caches[triggerChar];
+        }
+      });
     }
   }
 
-  closeAutocomplete = () => {
-    if (!this.getSuggestions()) return;
+  /**
+   * Calls dataProvider, offset is the number of already loaded items when the next page is loaded
+   */
+  requestValues = (offset: number = 0) => {
+    const { currentTrigger, actualToken } = this.state;
+    const triggerSettings = this.getCurrentTriggerSettings();
+
+    this.requestTimeout = null;
 
-    this.setState({ data: null });
+    if (!currentTrigger || !triggerSettings) {
+      return;
+    }
+
+    const { dataProvider, component } = triggerSettings;
+
+    if (typeof dataProvider !== 'function') {
+      throw new Error('RTA: Trigger provider has to be a function!');
+    }
+
+    // every request gets its own id, so the results of outdated requests can be dropped
+    this.lastRequestId += 1;
+    const requestId = this.lastRequestId;
+    const abortController = createAbortController();
+
+    this.abortController = abortController;
+    this.lastRequestTime = Date.now();
+    const requestTime = this.lastRequestTime;
+
+    // synchronous throws of dataProvider are turned into the rejection as well
+    new Promise(resolve =>
+      resolve(
+        dataProvider(actualToken, {
+          signal: abortController && abortController.signal,
+          offset,
+        }),
+      ),
+    )
+      .then((result) => {
+        const page = normalizeProviderResult(result);
+
+        // the headless mode renders the items itself
+        if (!this.isHeadless() && typeof component !== 'function') {
+          throw new Error('RTA: Component should be defined!');
+        }
+
+        return page;
+      })
+      .then(
+        ({ items, hasMore, sections: pageSections }) => {
+          if (requestId !== this.lastRequestId) return;
+
+          this.abortController = null;
+
+          let data = this.rankByUsage(items, pageSections);
+          let sections = pageSections;
+          if (offset) {
+            const { data: loadedData, sections: loadedSections } = this.state;
+            data = [...(loadedData || []), ...data];
+            sections =
+              loadedSections || pageSections
+                ? [...(loadedSections || []), ...(pageSections || [])]
+                : null;
+          }
+
+          // only the complete list can be cached
+          const cache = this.getCache();
+          if (cache && !hasMore) cache.set(actualToken, data, sections);
+
+          this.setState({
+            dataLoading: false,
+            loadingMore: false,
+            data,
+            sections,
+            hasMore,
+            component,
+          });
+          this.reportQuery({ duration: Date.now() - requestTime, data: items });
+        },
+        (error) => {
+          // rejection of an outdated (probably aborted) request is not interesting anymore
+          if (requestId !== this.lastRequestId) return;
+
+          this.abortController = null;
+          this.handleProviderError(error);
+          this.reportQuery({ duration: Date.now() - requestTime, error });
+        },
+      );
+  };
+
+  reportQuery = ({
+    duration,
+    data,
+    error,
+    fromCache = false,
+  }: {
+    duration: number,
+    data?: Array<Object | string>,
+    error?: Error,
+    fromCache?: boolean,
+  }) => {
+    const { onQuery } = this.props;
+    const { currentTrigger, actualToken } = this.state;
+
+    if (!onQuery || !currentTrigger) return;
+
+    onQuery({
+      trigger: currentTrigger,
+      token: actualToken,
+      duration,
+      count: data ? data.length : 0,
+      fromCache,
+      error: error || null,
+    });
+  };
+
+  handleProviderError = (error: Error) => {
+    const { onError } = this.props;
+    const { currentTrigger } = this.state;
+
+    this.setState({
+      dataLoading: false,
+      loadingMore: false,
+      data: null,
+      sections: null,
+      error,
+    });
+
+    if (onError) onError(error, currentTrigger);
+  };
+
+  createItem = () => {
+    const { currentTrigger, actualToken } = this.state;
+    const triggerSettings = this.getCurrentTriggerSettings();
+
+    if (!currentTrigger || !triggerSettings || !triggerSettings.onCreate) {
+      return;
+    }
+
+    const { onCreate } = triggerSettings;
+
+    this.cancelRequest();
+    const requestId = this.lastRequestId;
+
+    this.setState({
+      dataLoading: true,
+    });
+
+    // the errors of the selection (e.g. of the output) are handled as the failed creation
+    new Promise(resolve => resolve(onCreate(actualToken, currentTrigger)))
+      .then((item) => {
+        if (requestId !== this.lastRequestId) return;
+
+        if (item === null || item === undefined) {
+          this.closeAutocomplete('dismiss');
+          return;
+        }
+
+        this.onSelect(item);
+      })
+      .catch((error) => {
+        if (requestId !== this.lastRequestId) return;
+
+        this.handleProviderError(error);
+      });
+  };
+
+  /**
+   * Public API: inserts the text at the caret (replacing the selected text)
+   * and opens the suggestions if the text completes a trigger, as if the user typed it
+   */
+  insertText = (text: string) => {
+    if (!this.textareaRef) return;
+
+    const { selectionStart, selectionEnd } = this.textareaRef;
+    const caretPosition = selectionStart + text.length;
+
+    this.replaceText(selectionStart, selectionEnd, text, caretPosition, () =>
+      this.updateSuggestions(this.state.value, caretPosition, caretPosition),
+    );
+  };
+
+  /**
+   * Public API: types the trigger (and the token) at the caret and opens its suggestions
+   * even if the token is shorter than minChar. Whitespace or a new line is inserted
+   * before the trigger when it's required by its activation rule.
+   */
+  openSuggestions = (trigger: string, token: string = '') => {
+    const triggerSettings = this.props.trigger[trigger];
+
+    if (!triggerSettings) {
+      throw new Error(`RTA: Unknown trigger "${trigger}"!`);
+    }
+
+    if (!this.textareaRef) return;
+
+    const { value } = this.state;
+    const { selectionStart, selectionEnd } = this.textareaRef;
+    const previousChar = value.slice(0, selectionStart).slice(-1);
+    const { activation } = triggerSettings;
+
+    let separator = '';
+    if (activation === 'afterWhitespace' && /\S/.test(previousChar)) {
+      separator = ' ';
+    } else if (activation === 'lineStart' && previousChar && previousChar !== '\n') {
+      separator = '\n';
+    }
+
+    const text = `${separator}${trigger}${token}`;
+    const caretPosition = selectionStart + text.length;
+
+    this.replaceText(selectionStart, selectionEnd, text, caretPosition, () =>
+      this.updateSuggestions(this.state.value, caretPosition, caretPosition, true),
+    );
+  };
+
+  /**
+   * Public API: closes the suggestions
+   */
+  closeSuggestions = () => {
+    this.closeAutocomplete('api');
+  };
+
+  loadMore = () => {
+    const { data, hasMore, dataLoading, loadingMore } = this.state;
+
+    if (!data || !hasMore || dataLoading || loadingMore) return;
+
+    this.setState({ loadingMore: true });
+    this.requestValues(data.length);
+  };
+
+  highlightItem = (index: number) => {
+    this.setState({ highlightedIndex: index });
+  };
+
+  /**
+   * The first entry is highlighted when the suggestions change (the next loaded page
+   * keeps the highlight). The highlighted item is reported and when it's the last one,
+   * the next page is loaded.
+   */
+  updateHighlight = (prevState: State) => {
+    const { highlightedIndex, currentTrigger, hasMore } = this.state;
+
+    if (this.isHighlightReset(prevState)) {
+      const firstIndex = this.getEntryCount() ? 0 : -1;
+
+      if (highlightedIndex !== firstIndex) {
+        // the highlight is reported after it's updated
+        this.highlightItem(firstIndex);
+        return;
+      }
+    }
+
+    const items = this.getSuggestions() || [];
+    const prevItems = (prevState.currentTrigger && prevState.data) || [];
+    // the same index can point to another item of the new suggestions
+    if (
+      prevState.highlightedIndex === highlightedIndex &&
+      prevItems[highlightedIndex] === items[highlightedIndex]
+    ) {
+      return;
+    }
+
+    const { onItemHighlighted } = this.props;
+    const item = items[highlightedIndex];
+
+    // the "create new" action is not an item
+    if (onItemHighlighted && currentTrigger && item) {
+      onItemHighlighted(item, currentTrigger);
+    }
+
+    if (hasMore && highlightedIndex >= 0 && highlightedIndex >= items.length - 1) {
+      this.loadMore();
+    }
+  };
+
+  retry = () => {
+    if (!this.state.error) return;
+
+    this.setTextareaCaret(this.state.selectionEnd);
+    this.getValuesFromProvider();
+  };
+
+  /**
+   * Cancels scheduled call of dataProvider, aborts the pending one
+   * and makes sure that its result is ignored
+   */
+  cancelRequest = () => {
+    if (this.requestTimeout) {
+      clearTimeout(this.requestTimeout);
+      this.requestTimeout = null;
+    }
+
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+
+    this.lastRequestId += 1;
+  };
+
+  isPortal = (): boolean =>
+    !!(this.props.renderToBody || this.props.portalTarget);
+
+  isHeadless = (): boolean => typeof this.props.children === 'function';
+
+  isOpen = (): boolean => {
+    const { currentTrigger, dataLoading, error } = this.state;
+
+    return !!currentTrigger && (dataLoading || !!this.getSuggestions() || !!error);
+  };
+
+  isListVisible = (): boolean => {
+    const suggestionData = this.getSuggestions();
+
+    return !!(suggestionData && (suggestionData.length || this.canCreateItem()));
+  };
+
+  // the next loaded page keeps the highlight, as the same token of the same trigger does
+  // (so the "create new" action stays the same)
+  isHighlightReset = (prevState: State): boolean => {
+    const { data, actualToken, currentTrigger } = this.state;
+    const { data: prevData } = prevState;
+
+    return !(
+      data &&
+      prevData &&
+      (data === prevData ||
+        (data.length > prevData.length &&
+          prevData.every((item, index) => data[index] === item))) &&
+      actualToken === prevState.actualToken &&
+      currentTrigger === prevState.currentTrigger
+    );
+  };
+
+  navigate = (action: scrollActionType) => {
+    const { highlightedIndex, hasMore } = this.state;
+
+    this.highlightItem(
+      getNextPosition(
+        action,
+        Math.max(highlightedIndex, 0),
+        this.getEntryCount(),
+        hasMore,
+      ),
+    );
+  };
+
+  commitHighlighted = (e: KeyboardEvent) => {
+    const { highlightedIndex } = this.state;
+    if (highlightedIndex < 0 || highlightedIndex >= this.getEntryCount()) return;
+
+    e.preventDefault();
+    this.selectEntry(highlightedIndex);
+  };
+
+  // selects the item, or creates the new one by the "create new" action after the items
+  selectEntry = (index: number) => {
+    const suggestionData = this.getSuggestions() || [];
+
+    if (index >= 0 && index < suggestionData.length) {
+      this.onSelect(suggestionData[index]);
+    } else if (index === suggestionData.length && this.canCreateItem()) {
+      this.createItem();
+    }
+  };
+
+  /**
+   * Places the dropdown under the caret (or above it when there is not enough space)
+   * so it stays within the viewport
+   */
+  updatePosition = () => {
+    const { textareaRef, dropdownRef, containerRef } = this;
+    if (!textareaRef) return;
+
+    if (this.isHeadless()) {
+      this.updateCaret(textareaRef);
+      return;
+    }
+
+    if (!dropdownRef || !containerRef) return;
+
+    const direction = getTextDirection(textareaRef);
+    const caret = getCaretRect(textareaRef, this.state.selectionEnd);
+    const dropdownRect = dropdownRef.getBoundingClientRect();
+    const { placement, ...position } = getDropdownPosition(
+      caret,
+      dropdownRect,
+      getViewportSize(),
+      direction,
+    );
+    let { top, left } = position;
+
+    // the portal is positioned relative to the viewport, otherwise it's relative to the container
+    if (!this.isPortal()) {
+      const containerRect = containerRef.getBoundingClientRect();
+      top -= containerRect.top;
+      left -= containerRect.left;
+    }
+
+    const { state } = this;
+    if (
+      top === state.top &&
+      left === state.left &&
+      placement === state.placement &&
+      direction === state.direction
+    ) {
+      return;
+    }
+
+    this.setState({ top, left, placement, direction });
+  };
+
+  // the headless mode positions its own popover by the caret
+  updateCaret = (textareaRef: HTMLInputElement) => {
+    const direction = getTextDirection(textareaRef);
+    const caret = getCaretRect(textareaRef, this.state.selectionEnd);
+    const { state } = this;
+
+    if (
+      state.caret &&
+      caret.top === state.caret.top &&
+      caret.left === state.caret.left &&
+      caret.height === state.caret.height &&
+      direction === state.direction
+    ) {
+      return;
+    }
+
+    this.setState({ caret, direction });
+  };
+
+  startTrackingPosition = () => {
+    if (this.isTrackingPosition) return;
+
+    // capture phase catches also scrolling of the textarea and of any other scrollable ancestor
+    window.addEventListener('scroll', this.updatePosition, true);
+    window.addEventListener('resize', this.updatePosition);
+    this.isTrackingPosition = true;
+  };
+
+  stopTrackingPosition = () => {
+    if (!this.isTrackingPosition) return;
+
+    window.removeEventListener('scroll', this.updatePosition, true);
+    window.removeEventListener('resize', this.updatePosition);
+    this.isTrackingPosition = false;
+  };
+
+  closeAutocomplete = (reason: closeReasonType) => {
+    const { dataLoading, error, currentTrigger } = this.state;
+    const { onSuggestionsClose } = this.props;
+
+    this.cancelRequest();
+
+    if (this.suggestionsOpen) {
+      this.suggestionsOpen = false;
+      if (onSuggestionsClose && currentTrigger) {
+        onSuggestionsClose(reason, currentTrigger);
+      }
+    }
+
+    if (!this.getSuggestions() && !dataLoading && !error) return;
+
+    this.setState({
+      data: null,
+      sections: null,
+      dataLoading: false,
+      loadingMore: false,
+      hasMore: false,
+      error: null,
+    });
   };
 
   cleanUpProps = (): Object => {
     const props = { ...this.props };
     const notSafe = [
       'loadingComponent',
+      'errorComponent',
+      'onError',
       'containerStyle',
       'minChar',
+      'keyBindings',
+      'a11yMessages',
+      'renderToBody',
+      'portalTarget',
+      'textAreaComponent',
+      'innerRef',
+      'defaultEntities',
+      'onEntitiesChange',
+      'atomicEntities',
       'ref',
       'onChange',
+      'onBlur',
+      'onItemSelected',
+      'onItemHighlighted',
+      'onSuggestionsOpen',
+      'onSuggestionsClose',
+      'onQuery',
+      'children',
       'className',
       'value',
       'trigger',
@@ -274,7 +1412,7 @@ class ReactTextareaAutocomplete extends React.Component {
   };
 
   changeHandler = (e: SyntheticInputEvent) => {
-    const { trigger, onChange, minChar } = this.props;
+    const { onChange } = this.props;
     const textarea = e.target;
     const { selectionEnd, selectionStart } = textarea;
     const value = textarea.value;
@@ -284,36 +1422,206 @@ class ReactTextareaAutocomplete extends React.Component {
       onChange(e);
     }
 
-    this.setState({
-      value,
+    this.updateValue(value, selectionEnd);
+
+    // the text inserted by the autocomplete itself is handled by replaceText
+    if (this.isReplacingText) return;
+
+    this.updateSuggestions(value, selectionStart, selectionEnd);
+  };
+
+  /**
+   * Replaces the text between start and end as one edit of the native undo history
+   * (so a single Ctrl+Z reverts it). When the browser doesn't support it, the value is set
+   * directly and the edit is recorded to the fallback history instead.
+   * The entity of the inserted text is added after the edit has moved the other ones.
+   */
+  replaceText = (
+    start: number,
+    end: number,
+    text: string,
+    caretPosition: number,
+    callback?: () => void,
+    entity?: ?entityType,
+  ) => {
+    // nothing is replaced (the native delete would remove the character before the caret)
+    if (start === end && !text) return;
+
+    const { value, entities } = this.state;
+    const newValue = value.slice(0, start) + text + value.slice(end);
+
+    const editEnd = start + text.length;
+
+    if (this.insertTextNatively(start, end, text, newValue)) {
+      this.updateValue(newValue, editEnd, () => {
+        this.setTextareaCaret(caretPosition);
+        if (callback) callback();
+      });
+    } else {
+      const movedEntities = updateEntities(
+        entities,
+        getChangedRange(value, newValue, editEnd),
+      );
+
+      this.history.push(
+        { value, caretPosition: this.getCaretPosition(), entities },
+        {
+          value: newValue,
+          caretPosition,
+          entities: entity ? addEntity(movedEntities, entity) : movedEntities,
+        },
+      );
+      this.changeValue(newValue, caretPosition, callback, editEnd);
+    }
+
+    if (entity) {
+      const addedEntity = entity;
+      this.setState(prevState => ({
+        entities: addEntity(prevState.entities, addedEntity),
+      }));
+    }
+  };
+
+  /**
+   * Inserts the text via execCommand, the browser fires the input event itself
+   * (so onChange is called by changeHandler). Returns false when it's not supported.
+   */
+  insertTextNatively = (
+    start: number,
+    end: number,
+    text: string,
+    expectedValue: string,
+  ): boolean => {
+    const { textareaRef } = this;
+
+    if (!textareaRef || typeof document.execCommand !== 'function') {
+      return false;
+    }
+
+    textareaRef.focus();
+    textareaRef.setSelectionRange(start, end);
+
+    this.isReplacingText = true;
+    let inserted = false;
+    try {
+      // deleting the range is also an edit, empty text can't be inserted in some browsers
+      inserted = document.execCommand(text ? 'insertText' : 'delete', false, text);
+    } catch (e) {
+      inserted = false;
+    } finally {
+      this.isReplacingText = false;
+    }
+
+    return inserted && textareaRef.value === expectedValue;
+  };
+
+  deleteEntity = (e: KeyboardEvent, key: 'Backspace' | 'Delete') => {
+    const entity = this.getEntityAtCaret(key);
+    if (!entity) return;
+
+    e.preventDefault();
+    this.replaceText(entity.start, entity.end, '', entity.start);
+  };
+
+  undo = () => {
+    const snapshot = this.history.undo(this.state.value);
+    if (!snapshot) return;
+
+    this.restoreSnapshot(snapshot);
+  };
+
+  redo = () => {
+    const snapshot = this.history.redo(this.state.value);
+    if (!snapshot) return;
+
+    this.restoreSnapshot(snapshot);
+  };
+
+  // the entities are restored as well, e.g. the one deleted atomically
+  restoreSnapshot = ({ value, caretPosition, entities }: snapshotType) => {
+    this.closeAutocomplete('dismiss');
+    this.changeValue(value, caretPosition);
+    this.setState({ entities });
+  };
+
+  /**
+   * Sets the new value of the textarea, fires change event (so the parent is notified
+   * in the same way as when the user types) and after that moves the caret to the position
+   */
+  changeValue = (
+    value: string,
+    caretPosition: number,
+    callback?: () => void,
+    editEnd?: number = caretPosition,
+  ) => {
+    const { onChange } = this.props;
+
+    this.updateValue(value, editEnd, () => {
+      const e = new Event('change', { bubbles: true });
+      if (this.textareaRef) this.textareaRef.dispatchEvent(e);
+      if (onChange) onChange(e);
+
+      this.setTextareaCaret(caretPosition);
+      if (callback) callback();
     });
+  };
 
-    const tokenMatch = this.tokenRegExp.exec(value.slice(0, selectionEnd));
-    const lastToken = tokenMatch && tokenMatch[0];
+  /**
+   * Sets the value and moves the entities by the edit (the edit ends at editEnd of the new value),
+   * the previous state is used, so the same change coming also from the value prop is ignored
+   */
+  updateValue = (value: string, editEnd?: ?number, callback?: () => void) => {
+    this.setState(
+      prevState => ({
+        value,
+        entities: updateEntities(
+          prevState.entities,
+          getChangedRange(prevState.value, value, editEnd),
+        ),
+      }),
+      callback,
+    );
+  };
+
+  /**
+   * Finds the trigger and the token before the caret and requests the suggestions,
+   * the suggestions are closed when there is no trigger (or the token is shorter than minChar
+   * and the opening is not forced)
+   */
+  updateSuggestions = (
+    value: string,
+    selectionStart: number,
+    selectionEnd: number,
+    force?: boolean = false,
+  ) => {
+    const { trigger, minChar, onSuggestionsOpen } = this.props;
+
+    const tokenMatch = this.triggerMatcher(value.slice(0, selectionEnd));
+    const currentTrigger = tokenMatch && tokenMatch.trigger;
+    const actualToken = (tokenMatch && tokenMatch.token) || '';
+    const tokenStart = (tokenMatch && tokenMatch.start) || 0;
 
     /*
      if we lost the trigger token or there is no following character we want to close
      the autocomplete
     */
-    if (!lastToken || lastToken.length <= minChar) {
-      this.closeAutocomplete();
+    if (
+      !currentTrigger ||
+      (!force && actualToken.length < (minChar || 0))
+    ) {
+      this.closeAutocomplete('noMatch');
       return;
     }
 
-    const triggerChars = Object.keys(trigger);
-
-    const currentTrigger =
-      (lastToken && triggerChars.find(a => a === lastToken[0])) || null;
-
-    const actualToken = lastToken.slice(1);
-
     // if trigger is not configured step out from the function, otherwise proceed
-    if (!currentTrigger) {
+    if (!trigger[currentTrigger]) {
       return;
     }
 
-    const { top, left } = getCaretCoordinates(textarea, selectionEnd);
-    this.setState({ top, left });
+    if (!this.suggestionsOpen) {
+      this.suggestionsOpen = true;
+      if (onSuggestionsOpen) onSuggestionsOpen(currentTrigger);
+    }
 
     this.setState(
       {
@@ -321,6 +1629,7 @@ class ReactTextareaAutocomplete extends React.Component {
         selectionStart,
         currentTrigger,
         actualToken,
+        tokenStart,
       },
       this.getValuesFromProvider,
     );
@@ -328,61 +1637,184 @@ class ReactTextareaAutocomplete extends React.Component {
 
   props: Props;
 
-  textareaRef: HTMLInputElement;
+  textareaRef: ?HTMLInputElement;
+
+  keyListener: Listener;
+
+  containerRef: ?HTMLElement;
+
+  dropdownRef: ?HTMLElement;
+
+  isTrackingPosition: boolean = false;
+
+  suggestionsOpen: boolean = false;
+
+  isReplacingText: boolean = false;
+
+  history: EditHistory = new EditHistory();
+
+  triggerMatcher: string => ?triggerMatchType;
+
+  caches: { [string]: ResultsCache } = {};
+
+  usageTrackers: { [string]: UsageTracker } = {};
+
+  lastRequestId: number = 0;
 
-  tokenRegExp: RegExp;
+  lastRequestTime: number = 0;
+
+  requestTimeout: ?number = null;
+
+  abortController: ?{ signal: Object, abort: () => void } = null;
 
   render() {
+    const { children } = this.props;
+    if (typeof children === 'function') return children(this.getRenderProps());
+
     const {
       loadingComponent: Loader,
+      errorComponent: ErrorComponent,
       style,
       containerStyle,
+      portalTarget,
       ...otherProps
     } = this.props;
-    const { left, top, dataLoading, component, value } = this.state;
+    const {
+      left,
+      top,
+      placement,
+      direction,
+      dataLoading,
+      loadingMore,
+      hasMore,
+      sections,
+      component,
+      error,
+      actualToken,
+      currentTrigger,
+      highlightedIndex,
+    } = this.state;
 
+    const {
+      component: TextAreaComponent,
+      ref: textAreaRefProp,
+    } = this.getTextAreaComponent();
     const suggestionData = this.getSuggestions();
     const textToReplace = this.getTextToReplace();
+    const triggerSettings = this.getCurrentTriggerSettings();
+    const canCreateItem = this.canCreateItem();
+
+    const isListVisible = this.isListVisible();
+    const NoResults =
+      suggestionData &&
+      !suggestionData.length &&
+      triggerSettings &&
+      triggerSettings.noResultsComponent;
+    const { ref: textareaRef, ...textareaProps } = this.getTextareaProps();
+
+    const isPortal = this.isPortal();
+    const dropdown = (dataLoading ||
+      isListVisible ||
+      NoResults ||
+      (error && ErrorComponent)) &&
+      <div
+        ref={ref => (this.dropdownRef = ref)}
+        style={isPortal ? { position: 'fixed', top, left } : { top, left }}
+        className={`rta__autocomplete rta__autocomplete--${placement}`}
+        dir={direction}
+        role="presentation"
+        onMouseDown={this.preventBlur}
+      >
+        {error &&
+          ErrorComponent &&
+          <div className="rta__error">
+            <ErrorComponent error={error} retry={this.retry} />
+          </div>}
+        {NoResults &&
+          <div className="rta__no-results">
+            <NoResults token={actualToken} trigger={currentTrigger} />
+          </div>}
+        {isListVisible &&
+          suggestionData &&
+          component &&
+          textToReplace &&
+          <List
+            getListProps={this.getListProps}
+            getItemProps={this.getItemProps}
+            highlightedIndex={highlightedIndex}
+            values={suggestionData}
+            component={component}
+            getTextToReplace={textToReplace}
+            token={actualToken}
+            trigger={currentTrigger}
+            canCreate={canCreateItem}
+            createComponent={
+              triggerSettings && triggerSettings.createComponent
+            }
+            hasMore={hasMore}
+            onLoadMore={this.loadMore}
+            sections={sections}
+            itemKey={triggerSettings && triggerSettings.itemKey}
+            itemHeight={triggerSettings && triggerSettings.itemHeight}
+            matchRanges={triggerSettings && triggerSettings.matchRanges}
+          />}
+        {loadingMore &&
+          Loader &&
+          <div className="rta__loader rta__loader--more">
+            <Loader data={suggestionData} />
+          </div>}
+        {dataLoading &&
+          Loader &&
+          <div
+            className={`rta__loader ${isListVisible
+              ? 'rta__loader--suggestion-data'
+              : 'rta__loader--empty-suggestion-data'}`}
+          >
+            <Loader data={suggestionData} />
+          </div>}
+      </div>;
 
     return (
       <div
-        className={`rta ${dataLoading === true ? 'rta--loading' : ''}`}
+        ref={ref => (this.containerRef = ref)}
+        className={`rta ${dataLoading === true
+          ? 'rta--loading'
+          : ''} ${direction === 'rtl' ? 'rta--rtl' : ''}`}
         style={containerStyle}
       >
-        <textarea
+        <TextAreaComponent
           {...this.cleanUpProps()}
-          ref={ref => (this.textareaRef = ref)}
+          {...textareaProps}
+          {...{ [textAreaRefProp]: textareaRef }}
           className={`rta__textarea ${otherProps.className || ''}`}
-          onChange={this.changeHandler}
-          value={value}
           style={style}
         />
-        {(dataLoading || suggestionData) &&
-          <div style={{ top, left }} className="rta__autocomplete">
-            {suggestionData &&
-              component &&
-              textToReplace &&
-              <List
-                values={suggestionData}
-                component={component}
-                getTextToReplace={textToReplace}
-                onSelect={this.onSelect}
-              />}
-            {dataLoading &&
-              <div
-                className={`rta__loader ${suggestionData !== null
-                  ? 'rta__loader--suggestion-data'
-                  : 'rta__loader--empty-suggestion-data'}`}
-              >
-                <Loader data={suggestionData} />
-              </div>}
-          </div>}
+        <div
+          className="rta__live-region"
+          role="status"
+          aria-live="polite"
+          aria-atomic="true"
+        >
+          {this.getA11yMessage()}
+        </div>
+        {dropdown &&
+          (isPortal
+            ? <Portal target={portalTarget || (() => document.body)}>
+              {dropdown}
+            </Portal>
+            : dropdown)}
       </div>
     );
   }
 }
 
-const triggerPropsCheck = ({ trigger }: { trigger: triggerType }) => {
+const triggerPropsCheck = ({
+  trigger,
+  children,
+}: {
+  trigger: triggerType,
+  children?: Function,
+}) => {
   if (!trigger) return Error('Invalid prop trigger. Prop missing.');
 
   const triggers = Object.entries(trigger);
@@ -390,22 +1822,47 @@ const triggerPropsCheck = ({ trigger }: { trigger: triggerType }) => {
   for (let i = 0; i < triggers.length; i += 1) {
     const [triggerChar, settings] = triggers[i];
 
-    if (typeof triggerChar !== 'string' || triggerChar.length !== 1) {
+    if (typeof triggerChar !== 'string' || !triggerChar.length) {
       return Error(
-        'Invalid prop trigger. Keys of the object has to be string.',
+        'Invalid prop trigger. Keys of the object has to be non-empty string.',
       );
     }
 
-    // $FlowFixMe
-    const { component, dataProvider } = settings;
-
-    if (!component || typeof component !== 'function') {
+    const {
+      component,
+      dataProvider,
+      activation,
+      allowedChars,
+      maxWords,
+    } = (settings: any);
+
+    if (typeof children !== 'function' && typeof component !== 'function') {
       return Error('Invalid prop trigger: component should be defined.');
     }
 
     if (!dataProvider || typeof dataProvider !== 'function') {
       return Error('Invalid prop trigger: dataProvider should be defined.');
     }
+
+    if (
+      activation !== undefined &&
+      !['anywhere', 'afterWhitespace', 'lineStart'].includes(activation)
+    ) {
+      return Error(
+        'Invalid prop trigger: activation should be one of "anywhere", "afterWhitespace" or "lineStart".',
+      );
+    }
+
+    if (allowedChars !== undefined && !(allowedChars instanceof RegExp)) {
+      return Error('Invalid prop trigger: allowedChars should be a RegExp.');
+    }
+
+    if (
+      maxWords !== undefined &&
+      (typeof maxWords !== 'number' || maxWords < 1)
+    ) {
+      return Error('Invalid prop trigger: maxWords should be a positive number.');
+    }
   }
 
   return null;
@@ -413,7 +1870,8 @@ const triggerPropsCheck = ({ trigger }: { trigger: triggerType }) => {
 
 ReactTextareaAutocomplete.propTypes = {
   trigger: triggerPropsCheck, //eslint-disable-line
-  loadingComponent: PropTypes.func.isRequired,
+  loadingComponent: PropTypes.func,
+  children: PropTypes.func,
   value: PropTypes.string,
 };
 
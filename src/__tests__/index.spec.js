@@ -1,6 +1,11 @@
 import React from 'react';
+import { renderToString } from 'react-dom/server';
 import { shallow, mount } from 'enzyme';
-import ReactTextareaAutocomplete from './../index';
+import ReactTextareaAutocomplete, {
+  createFuzzyMatcher,
+  createLocalStorage,
+  createMarkupSerializer,
+} from './../index';
 
 //eslint-disable-next-line
 const SmileItemComponent = ({ entity: { label, text } }) => (
@@ -9,6 +14,27 @@ const SmileItemComponent = ({ entity: { label, text } }) => (
 
 const Loading = () => <div>Loading...</div>;
 
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// the key listeners are attached to the DOM node of the textarea
+const keyDown = (node, init) => {
+  const e = document.createEvent('Event');
+  e.initEvent('keydown', true, true);
+  Object.assign(e, init);
+  node.dispatchEvent(e);
+  return e;
+};
+
+const renderRta = (trigger, props, options) =>
+  mount(
+    <ReactTextareaAutocomplete
+      loadingComponent={Loading}
+      trigger={trigger}
+      {...props}
+    />,
+    options,
+  );
+
 describe('object-based items', () => {
   const mockedFn = jest.fn();
   const rtaComponent = (
@@ -79,7 +105,7 @@ describe('object-based items', () => {
 
   it('text in textarea should be changed', () => {
     expect(rta.find('textarea').node.value).toBe(
-      '___happy_face___some test :a',
+      'some test ___happy_face___',
     );
   });
 });
@@ -149,7 +175,7 @@ describe('string-based items w/o output fn', () => {
   });
 
   it('text in textarea should be changed', () => {
-    expect(rta.find('textarea').node.value).toBe(':happy_face:some test :a');
+    expect(rta.find('textarea').node.value).toBe('some test :happy_face:');
   });
 });
 
@@ -219,6 +245,2811 @@ describe('string-based items with output fn', () => {
   });
 
   it('text in textarea should be changed', () => {
-    expect(rta.find('textarea').node.value).toBe('__happy_face__some test :a');
+    expect(rta.find('textarea').node.value).toBe('some test __happy_face__');
+  });
+});
+
+describe('multi-character triggers', () => {
+  const emojiProvider = jest.fn(() => ['happy_face', 'sad_face']);
+  const commandProvider = jest.fn(() => ['shrug', 'giphy']);
+  const wikiProvider = jest.fn(() => ['Home', 'Roadmap']);
+  const caretProvider = jest.fn(() => ['up']);
+
+  const rta = mount(
+    <ReactTextareaAutocomplete
+      loadingComponent={Loading}
+      trigger={{
+        ':': {
+          dataProvider: emojiProvider,
+          component: SmileItemComponent,
+        },
+        '::': {
+          dataProvider: commandProvider,
+          component: SmileItemComponent,
+        },
+        '[[': {
+          output: item => `[[${item}]]`,
+          dataProvider: wikiProvider,
+          component: SmileItemComponent,
+        },
+        '^': {
+          dataProvider: caretProvider,
+          component: SmileItemComponent,
+        },
+      }}
+    />,
+  );
+
+  const type = value =>
+    rta.find('textarea').simulate('change', { target: { value } });
+
+  it('should prefer the longest trigger', () => {
+    type('hello ::sh');
+    expect(commandProvider).toHaveBeenLastCalledWith('sh', expect.any(Object));
+    expect(emojiProvider).not.toHaveBeenCalled();
+  });
+
+  it('should still match the shorter trigger on its own', () => {
+    type('hello :sa');
+    expect(emojiProvider).toHaveBeenLastCalledWith('sa', expect.any(Object));
+  });
+
+  it('should escape regex special characters in triggers', () => {
+    type('see [[Ro');
+    expect(wikiProvider).toHaveBeenLastCalledWith('Ro', expect.any(Object));
+
+    type('2^u');
+    expect(caretProvider).toHaveBeenLastCalledWith('u', expect.any(Object));
+  });
+
+  it('should not match a partially typed trigger', () => {
+    wikiProvider.mockClear();
+    type('see [Ro');
+    expect(wikiProvider).not.toHaveBeenCalled();
+  });
+});
+
+describe('per-trigger token pattern', () => {
+  const mentionProvider = jest.fn(() => ['Jane Doe', 'John Smith']);
+  const tagProvider = jest.fn(() => ['c++', 'c#']);
+  const emojiProvider = jest.fn(() => ['happy_face']);
+
+  const rta = mount(
+    <ReactTextareaAutocomplete
+      loadingComponent={Loading}
+      trigger={{
+        '@': {
+          dataProvider: mentionProvider,
+          component: SmileItemComponent,
+          allowedChars: new RegExp('[\\p{L}\\p{M}-]', 'u'),
+          allowWhitespace: true,
+          maxWords: 2,
+        },
+        '#': {
+          dataProvider: tagProvider,
+          component: SmileItemComponent,
+          allowedChars: /[\w+#-]/i,
+        },
+        ':': {
+          dataProvider: emojiProvider,
+          component: SmileItemComponent,
+        },
+      }}
+    />,
+  );
+
+  const type = value =>
+    rta.find('textarea').simulate('change', { target: { value } });
+
+  it('should match Unicode letters', () => {
+    type('hi @José');
+    expect(mentionProvider).toHaveBeenLastCalledWith('José', expect.any(Object));
+
+    type('hi @marie-claire');
+    expect(mentionProvider).toHaveBeenLastCalledWith('marie-claire', expect.any(Object));
+  });
+
+  it('should match allowed punctuation', () => {
+    type('I like #c++');
+    expect(tagProvider).toHaveBeenLastCalledWith('c++', expect.any(Object));
+  });
+
+  it('should match tokens with spaces when whitespace is allowed', () => {
+    type('cc @John Sm');
+    expect(mentionProvider).toHaveBeenLastCalledWith('John Sm', expect.any(Object));
+    expect(rta.find('.rta__autocomplete')).toHaveLength(1);
+  });
+
+  it('should close the list when the token exceeds maxWords', () => {
+    mentionProvider.mockClear();
+    type('cc @John Smith Jr');
+    expect(mentionProvider).not.toHaveBeenCalled();
+    expect(rta.find('.rta__autocomplete')).toHaveLength(0);
+  });
+
+  it('should keep the default \\w token for other triggers', () => {
+    emojiProvider.mockClear();
+    type('hey :smile-');
+    expect(emojiProvider).not.toHaveBeenCalled();
+  });
+
+  it('should prefer the trigger closest to the caret', () => {
+    type('@John :sm');
+    expect(emojiProvider).toHaveBeenLastCalledWith('sm', expect.any(Object));
+  });
+});
+
+describe('trigger activation rules', () => {
+  const mentionProvider = jest.fn(() => ['jane', 'john']);
+  const commandProvider = jest.fn(() => ['shrug', 'giphy']);
+  const emojiProvider = jest.fn(() => ['happy_face']);
+
+  const rta = mount(
+    <ReactTextareaAutocomplete
+      loadingComponent={Loading}
+      trigger={{
+        '@': {
+          dataProvider: mentionProvider,
+          component: SmileItemComponent,
+          activation: 'afterWhitespace',
+        },
+        '/': {
+          dataProvider: commandProvider,
+          component: SmileItemComponent,
+          activation: 'lineStart',
+        },
+        ':': {
+          dataProvider: emojiProvider,
+          component: SmileItemComponent,
+        },
+      }}
+    />,
+  );
+
+  const type = value =>
+    rta.find('textarea').simulate('change', { target: { value } });
+
+  beforeEach(() => {
+    mentionProvider.mockClear();
+    commandProvider.mockClear();
+    emojiProvider.mockClear();
+  });
+
+  it('should ignore the trigger inside of a word', () => {
+    type('write to jane@example');
+    expect(mentionProvider).not.toHaveBeenCalled();
+  });
+
+  it('should activate the trigger after whitespace or at the start', () => {
+    type('@ja');
+    expect(mentionProvider).toHaveBeenLastCalledWith('ja', expect.any(Object));
+
+    type('hello\n@jo');
+    expect(mentionProvider).toHaveBeenLastCalledWith('jo', expect.any(Object));
+  });
+
+  it('should activate line start trigger only at the start of a line', () => {
+    type('and/or');
+    expect(commandProvider).not.toHaveBeenCalled();
+
+    type('hello /gi');
+    expect(commandProvider).not.toHaveBeenCalled();
+
+    type('hello\n/gi');
+    expect(commandProvider).toHaveBeenLastCalledWith('gi', expect.any(Object));
+  });
+
+  it('should activate the trigger anywhere by default', () => {
+    type('at 10:30');
+    expect(emojiProvider).toHaveBeenLastCalledWith('30', expect.any(Object));
+  });
+});
+
+describe('keyboard handling scoped to the instance', () => {
+  const trigger = {
+    ':': {
+      dataProvider: () => ['happy_face', 'sad_face'],
+      component: SmileItemComponent,
+    },
+  };
+
+  const open = (rta) => {
+    rta.find('textarea').simulate('change', { target: { value: ':a' } });
+    // wait for the data provider
+    return flush();
+  };
+
+  const first = renderRta(trigger);
+  const second = renderRta(trigger);
+  const third = renderRta(trigger);
+
+  it('should close only the autocomplete of the focused textarea on ESC', async () => {
+    await open(first);
+    await open(second);
+
+    keyDown(first.find('textarea').node, { keyCode: 27 });
+
+    expect(first.find('.rta__autocomplete')).toHaveLength(0);
+    expect(second.find('.rta__autocomplete')).toHaveLength(1);
+  });
+
+  it('should move the selection only in the list of the focused textarea', async () => {
+    await open(first);
+
+    keyDown(second.find('textarea').node, { keyCode: 40 });
+
+    expect(
+      first.find('.rta__entity').at(0).hasClass('rta__entity--selected'),
+    ).toBe(true);
+    expect(
+      second.find('.rta__entity').at(1).hasClass('rta__entity--selected'),
+    ).toBe(true);
+  });
+
+  it('should keep keyboard handling of other instances after unmount', async () => {
+    first.unmount();
+
+    await open(third);
+    keyDown(third.find('textarea').node, { keyCode: 40 });
+    expect(
+      third.find('.rta__entity').at(1).hasClass('rta__entity--selected'),
+    ).toBe(true);
+
+    keyDown(second.find('textarea').node, { keyCode: 27 });
+    expect(second.find('.rta__autocomplete')).toHaveLength(0);
+  });
+});
+
+describe('configurable key bindings', () => {
+  const values = ['a1', 'a2', 'a3', 'a4', 'a5', 'a6', 'a7', 'a8'];
+
+  const rta = renderRta(
+    {
+      ':': {
+        dataProvider: () => values,
+        component: SmileItemComponent,
+      },
+    },
+    {
+      keyBindings: {
+        commit: ['Enter', ' '],
+        dismiss: [{ key: 'Escape', shiftKey: false }],
+      },
+    },
+  );
+
+  const textarea = () => rta.find('textarea').node;
+
+  const selectedIndex = () =>
+    rta
+      .find('.rta__entity')
+      .map(item => item.hasClass('rta__entity--selected'))
+      .indexOf(true);
+
+  beforeEach(() => {
+    keyDown(textarea(), { key: 'Escape' });
+    rta.find('textarea').simulate('change', { target: { value: ':a' } });
+    return flush();
+  });
+
+  it('should navigate with Home, End, PageUp and PageDown', () => {
+    keyDown(textarea(), { key: 'End' });
+    expect(selectedIndex()).toBe(7);
+
+    keyDown(textarea(), { key: 'PageUp' });
+    expect(selectedIndex()).toBe(2);
+
+    keyDown(textarea(), { key: 'PageUp' });
+    expect(selectedIndex()).toBe(0);
+
+    keyDown(textarea(), { key: 'PageDown' });
+    expect(selectedIndex()).toBe(5);
+
+    keyDown(textarea(), { key: 'Home' });
+    expect(selectedIndex()).toBe(0);
+  });
+
+  it('should navigate with Ctrl+N and Ctrl+P', () => {
+    keyDown(textarea(), { key: 'n', ctrlKey: true });
+    keyDown(textarea(), { key: 'n', ctrlKey: true });
+    expect(selectedIndex()).toBe(2);
+
+    keyDown(textarea(), { key: 'p', ctrlKey: true });
+    expect(selectedIndex()).toBe(1);
+
+    keyDown(textarea(), { key: 'n' });
+    expect(selectedIndex()).toBe(1);
+  });
+
+  it('should support legacy key names', () => {
+    keyDown(textarea(), { key: 'Down' });
+    expect(selectedIndex()).toBe(1);
+  });
+
+  it('should not commit with the disabled key', () => {
+    const e = keyDown(textarea(), { key: 'Tab' });
+    expect(e.defaultPrevented).toBe(false);
+    expect(rta.find('.rta__autocomplete')).toHaveLength(1);
+  });
+
+  it('should respect modifiers of the binding', () => {
+    keyDown(textarea(), { key: 'Escape', shiftKey: true });
+    expect(rta.find('.rta__autocomplete')).toHaveLength(1);
+
+    keyDown(textarea(), { key: 'Escape' });
+    expect(rta.find('.rta__autocomplete')).toHaveLength(0);
+  });
+
+  it('should leave the keys of the IME composition to the IME', () => {
+    const composing = keyDown(textarea(), { key: 'Enter', isComposing: true });
+    const safariComposing = keyDown(textarea(), { key: 'Enter', keyCode: 229 });
+
+    expect(composing.defaultPrevented).toBe(false);
+    expect(safariComposing.defaultPrevented).toBe(false);
+    expect(rta.find('.rta__autocomplete')).toHaveLength(1);
+    expect(textarea().value).toBe(':a');
+  });
+
+  it('should commit with the remapped key', () => {
+    keyDown(textarea(), { key: 'ArrowDown' });
+    keyDown(textarea(), { key: ' ' });
+    expect(rta.find('.rta__autocomplete')).toHaveLength(0);
+    expect(textarea().value).toContain(':a2:');
+  });
+});
+
+describe('dataProvider requests', () => {
+  const createDeferred = () => {
+    let resolve;
+    const promise = new Promise((res) => {
+      resolve = res;
+    });
+    return { promise, resolve };
+  };
+
+  const createRta = settings =>
+    renderRta({
+      '@': {
+        component: SmileItemComponent,
+        output: item => `@${item.label}`,
+        ...settings,
+      },
+    });
+
+  const type = (rta, value) =>
+    rta.find('textarea').simulate('change', { target: { value } });
+
+  const itemsText = rta => rta.find('.rta__item').map(item => item.text());
+
+  it('should drop results of outdated requests', async () => {
+    const requests = {};
+    const rta = createRta({
+      dataProvider: (token) => {
+        requests[token] = createDeferred();
+        return requests[token].promise;
+      },
+    });
+
+    type(rta, '@jo');
+    type(rta, '@john');
+
+    requests.john.resolve([{ label: 'john' }]);
+    await flush();
+    requests.jo.resolve([{ label: 'jo' }, { label: 'joe' }]);
+    await flush();
+
+    expect(itemsText(rta)).toEqual([' john ']);
+  });
+
+  it('should drop results of requests which resolve after close', async () => {
+    const request = createDeferred();
+    const rta = createRta({ dataProvider: () => request.promise });
+
+    type(rta, '@jo');
+    type(rta, 'jo');
+
+    request.resolve([{ label: 'jo' }]);
+    await flush();
+
+    expect(rta.find('.rta__autocomplete')).toHaveLength(0);
+  });
+
+  it('should pass AbortSignal and abort outdated requests', () => {
+    const abort = jest.fn();
+    window.AbortController = function AbortController() {
+      this.signal = { aborted: false };
+      this.abort = abort;
+    };
+
+    const dataProvider = jest.fn(() => new Promise(() => {}));
+    const rta = createRta({ dataProvider });
+
+    type(rta, '@jo');
+    expect(dataProvider.mock.calls[0][1].signal).toEqual({ aborted: false });
+    expect(abort).not.toHaveBeenCalled();
+
+    type(rta, '@joh');
+    expect(abort).toHaveBeenCalledTimes(1);
+
+    rta.unmount();
+    expect(abort).toHaveBeenCalledTimes(2);
+
+    delete window.AbortController;
+  });
+
+  describe('with fake timers', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should debounce calls of dataProvider', () => {
+      const dataProvider = jest.fn(() => []);
+      const rta = createRta({ dataProvider, debounce: 200 });
+
+      type(rta, '@j');
+      jest.runTimersToTime(100);
+      type(rta, '@jo');
+      jest.runTimersToTime(100);
+      type(rta, '@joh');
+
+      expect(dataProvider).not.toHaveBeenCalled();
+      expect(rta.find('.rta__loader')).toHaveLength(1);
+
+      jest.runTimersToTime(200);
+      expect(dataProvider).toHaveBeenCalledTimes(1);
+      expect(dataProvider).toHaveBeenLastCalledWith('joh', expect.any(Object));
+    });
+
+    it('should throttle calls of dataProvider', () => {
+      let now = 1000;
+      const dateNow = Date.now;
+      Date.now = () => now;
+
+      const dataProvider = jest.fn(() => []);
+      const rta = createRta({ dataProvider, throttle: 200 });
+
+      type(rta, '@j');
+      expect(dataProvider).toHaveBeenCalledTimes(1);
+
+      now += 50;
+      type(rta, '@jo');
+      now += 50;
+      type(rta, '@joh');
+      expect(dataProvider).toHaveBeenCalledTimes(1);
+
+      now += 100;
+      jest.runTimersToTime(100);
+      expect(dataProvider).toHaveBeenCalledTimes(2);
+      expect(dataProvider).toHaveBeenLastCalledWith('joh', expect.any(Object));
+
+      Date.now = dateNow;
+    });
+  });
+});
+
+describe('dataProvider results caching', () => {
+  const users = ['john', 'johnny', 'joe', 'jane'];
+
+  const createRta = (cache) => {
+    const dataProvider = jest.fn(token =>
+      users.filter(user => user.startsWith(token)),
+    );
+    const rta = renderRta({
+      '@': {
+        component: SmileItemComponent,
+        output: item => `@${item}`,
+        dataProvider,
+        cache,
+      },
+    });
+    const type = async (value) => {
+      rta.find('textarea').simulate('change', { target: { value } });
+      await flush();
+    };
+
+    return { rta, type, dataProvider };
+  };
+
+  it('should not call dataProvider for already typed token', async () => {
+    const { type, dataProvider } = createRta(true);
+
+    await type('@johnny');
+    await type('@john');
+    await type('@johnny');
+
+    expect(dataProvider).toHaveBeenCalledTimes(2);
+  });
+
+  it('should keep the results when the parent re-renders with a new trigger', async () => {
+    const dataProvider = jest.fn(token =>
+      users.filter(user => user.startsWith(token)),
+    );
+    const createTrigger = () => ({
+      '@': {
+        component: SmileItemComponent,
+        output: item => `@${item}`,
+        dataProvider: token => dataProvider(token),
+        cache: true,
+      },
+    });
+    // the controlled parent re-renders with the inline trigger object
+    const rta = renderRta(createTrigger(), {
+      value: '',
+      onChange: e =>
+        rta.setProps({ value: e.target.value, trigger: createTrigger() }),
+    });
+    const type = async (value) => {
+      rta.find('textarea').simulate('change', { target: { value } });
+      await flush();
+    };
+
+    await type('@johnny');
+    await type('@john');
+    await type('@johnny');
+
+    expect(dataProvider).toHaveBeenCalledTimes(2);
+    expect(rta.find('.rta__item')).toHaveLength(1);
+  });
+
+  it('should call dataProvider every time without cache', async () => {
+    const { type, dataProvider } = createRta(undefined);
+
+    await type('@john');
+    await type('@john');
+
+    expect(dataProvider).toHaveBeenCalledTimes(2);
+  });
+
+  it('should drop expired results', async () => {
+    const dateNow = Date.now;
+    let now = 1000;
+    Date.now = () => now;
+
+    const { type, dataProvider } = createRta({ ttl: 100 });
+
+    await type('@john');
+    now += 50;
+    await type('@john');
+    expect(dataProvider).toHaveBeenCalledTimes(1);
+
+    now += 100;
+    await type('@john');
+    expect(dataProvider).toHaveBeenCalledTimes(2);
+
+    Date.now = dateNow;
+  });
+
+  it('should drop the least recently used results', async () => {
+    const { type, dataProvider } = createRta({ maxSize: 2 });
+
+    await type('@j');
+    await type('@jo');
+    await type('@j');
+    await type('@joh');
+    expect(dataProvider).toHaveBeenCalledTimes(3);
+
+    await type('@j');
+    expect(dataProvider).toHaveBeenCalledTimes(3);
+
+    await type('@jo');
+    expect(dataProvider).toHaveBeenCalledTimes(4);
+  });
+
+  it('should refine complete results locally', async () => {
+    const { rta, type, dataProvider } = createRta({
+      refine: (item, token) => item.startsWith(token),
+    });
+
+    await type('@jo');
+    await type('@joh');
+
+    expect(dataProvider).toHaveBeenCalledTimes(1);
+    expect(rta.find('.rta__item')).toHaveLength(2);
+  });
+
+  it('should not refine incomplete results', async () => {
+    const { type, dataProvider } = createRta({
+      refine: (item, token) => item.startsWith(token),
+      isComplete: items => items.length < 3,
+    });
+
+    await type('@jo');
+    await type('@joh');
+    expect(dataProvider).toHaveBeenCalledTimes(2);
+
+    await type('@john');
+    expect(dataProvider).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('failing dataProvider', () => {
+  // eslint-disable-next-line
+  const ErrorComponent = ({ error, retry }) => (
+    <button className="error" onClick={retry}>
+      {error.message}
+    </button>
+  );
+
+  const createRta = (dataProvider, props) => {
+    const rta = renderRta(
+      {
+        '@': {
+          component: SmileItemComponent,
+          dataProvider,
+        },
+      },
+      props,
+    );
+    const type = async (value) => {
+      rta.find('textarea').simulate('change', { target: { value } });
+      await flush();
+    };
+
+    return { rta, type };
+  };
+
+  it('should render errorComponent and call onError after rejection', async () => {
+    const error = new Error('Network error');
+    const onError = jest.fn();
+    const { rta, type } = createRta(() => Promise.reject(error), {
+      errorComponent: ErrorComponent,
+      onError,
+    });
+
+    await type('@jo');
+
+    expect(rta.find('.rta__loader')).toHaveLength(0);
+    expect(rta.find('.rta__error .error').text()).toBe('Network error');
+    expect(onError).toHaveBeenCalledWith(error, '@');
+  });
+
+  it('should handle synchronous throws the same way', async () => {
+    const onError = jest.fn();
+    const { rta, type } = createRta(
+      () => {
+        throw new Error('Sync error');
+      },
+      { errorComponent: ErrorComponent, onError },
+    );
+
+    await type('@jo');
+
+    expect(rta.find('.rta__error .error').text()).toBe('Sync error');
+    expect(onError).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report invalid data as an error', async () => {
+    const onError = jest.fn();
+    const { rta, type } = createRta(() => 'not an array', { onError });
+
+    await type('@jo');
+
+    expect(rta.find('.rta__autocomplete')).toHaveLength(0);
+    expect(onError.mock.calls[0][0].message).toBe(
+      'RTA: Trigger provider has to provide an array, { items, hasMore } or { sections, hasMore }!',
+    );
+  });
+
+  it('should retry by the action of errorComponent', async () => {
+    const dataProvider = jest
+      .fn()
+      .mockImplementationOnce(() => Promise.reject(new Error('Flaky')))
+      .mockImplementationOnce(() => ['jane', 'john']);
+    const { rta, type } = createRta(dataProvider, {
+      errorComponent: ErrorComponent,
+    });
+
+    await type('@j');
+    rta.find('.rta__error .error').simulate('click');
+    await flush();
+
+    expect(dataProvider).toHaveBeenCalledTimes(2);
+    expect(rta.find('.rta__error')).toHaveLength(0);
+    expect(rta.find('.rta__item')).toHaveLength(2);
+  });
+
+  it('should keep the error open while its action is pressed', async () => {
+    const dataProvider = jest
+      .fn()
+      .mockImplementationOnce(() => Promise.reject(new Error('Flaky')))
+      .mockImplementationOnce(() => ['jane', 'john']);
+    const { rta, type } = createRta(dataProvider, {
+      errorComponent: ErrorComponent,
+    });
+    const preventDefault = jest.fn();
+
+    await type('@j');
+    // the prevented mousedown doesn't move the focus out of the textarea
+    rta.find('.rta__error .error').simulate('mouseDown', { preventDefault });
+    rta.find('.rta__error .error').simulate('click');
+    await flush();
+
+    expect(preventDefault).toHaveBeenCalled();
+    expect(dataProvider).toHaveBeenCalledTimes(2);
+    expect(rta.find('.rta__item')).toHaveLength(2);
+  });
+
+  it('should retry by the retry key', async () => {
+    const dataProvider = jest
+      .fn()
+      .mockImplementationOnce(() => Promise.reject(new Error('Flaky')))
+      .mockImplementationOnce(() => ['jane', 'john']);
+    const { rta, type } = createRta(dataProvider, {
+      errorComponent: ErrorComponent,
+    });
+
+    await type('@j');
+    keyDown(rta.find('textarea').node, { key: 'Enter' });
+    await flush();
+
+    expect(dataProvider).toHaveBeenCalledTimes(2);
+    expect(rta.find('.rta__item')).toHaveLength(2);
+  });
+
+  it('should close the error on ESC', async () => {
+    const { rta, type } = createRta(() => Promise.reject(new Error('Error')), {
+      errorComponent: ErrorComponent,
+    });
+
+    await type('@j');
+    keyDown(rta.find('textarea').node, { key: 'Escape' });
+
+    expect(rta.find('.rta__autocomplete')).toHaveLength(0);
+  });
+});
+
+describe('empty results and "create new" action', () => {
+  // eslint-disable-next-line
+  const NoResults = ({ token }) => <div>{`No tag ${token}`}</div>;
+
+  const tags = ['bug', 'feature'];
+
+  const createRta = (settings, props) => {
+    const rta = renderRta(
+      {
+        '#': {
+          component: SmileItemComponent,
+          dataProvider: token => tags.filter(tag => tag.startsWith(token)),
+          output: item => `#${item}`,
+          ...settings,
+        },
+      },
+      props,
+    );
+    const type = async (value) => {
+      rta.find('textarea').simulate('change', { target: { value } });
+      await flush();
+    };
+
+    return { rta, type };
+  };
+
+  it('should not display anything for empty results by default', async () => {
+    const { rta, type } = createRta({});
+
+    await type('#foo');
+
+    expect(rta.find('.rta__autocomplete')).toHaveLength(0);
+  });
+
+  it('should display noResultsComponent for empty results', async () => {
+    const { rta, type } = createRta({ noResultsComponent: NoResults });
+
+    await type('#foo');
+
+    expect(rta.find('.rta__no-results').text()).toBe('No tag foo');
+    expect(rta.find('.rta__item')).toHaveLength(0);
+
+    await type('#bu');
+
+    expect(rta.find('.rta__no-results')).toHaveLength(0);
+    expect(rta.find('.rta__item')).toHaveLength(1);
+  });
+
+  it('should display the create action after the items', async () => {
+    const { rta, type } = createRta({ onCreate: token => token });
+
+    await type('#fea');
+
+    expect(rta.find('.rta__item')).toHaveLength(2);
+    expect(rta.find('.rta__item--create').text()).toBe('Create "fea"');
+  });
+
+  it('should create the item by keyboard and insert it as the output', async () => {
+    const onCreate = jest.fn(token => Promise.resolve(`${token}-new`));
+    const { rta, type } = createRta({
+      onCreate,
+      noResultsComponent: NoResults,
+    });
+
+    await type('#foo');
+    expect(rta.find('.rta__no-results')).toHaveLength(1);
+    expect(
+      rta.find('.rta__item--create .rta__entity').hasClass('rta__entity--selected'),
+    ).toBe(true);
+
+    keyDown(rta.find('textarea').node, { key: 'Enter' });
+    await flush();
+
+    expect(onCreate).toHaveBeenCalledWith('foo', '#');
+    expect(rta.find('.rta__autocomplete')).toHaveLength(0);
+    expect(rta.find('textarea').node.value).toContain('#foo-new');
+  });
+
+  it('should create the item by click with custom component', async () => {
+    // eslint-disable-next-line
+    const CreateTag = ({ token, trigger }) => <b>{`New ${trigger}${token}`}</b>;
+    const onCreate = jest.fn(() => 'created');
+    const { rta, type } = createRta({ onCreate, createComponent: CreateTag });
+
+    await type('#bu');
+    expect(rta.find('.rta__item--create').text()).toBe('New #bu');
+
+    rta.find('.rta__item--create .rta__entity').simulate('mouseEnter');
+    rta.find('.rta__item--create .rta__entity').simulate('click');
+    await flush();
+
+    expect(onCreate).toHaveBeenCalledTimes(1);
+    expect(rta.find('textarea').node.value).toContain('#created');
+  });
+
+  it('should handle the error of the selection of the created item', async () => {
+    const onError = jest.fn();
+    const { rta, type } = createRta(
+      { onCreate: token => ({ name: token }), output: undefined },
+      { onError },
+    );
+
+    await type('#foo');
+    keyDown(rta.find('textarea').node, { key: 'Enter' });
+    await flush();
+
+    expect(onError).toHaveBeenCalledWith(
+      new Error('RTA: Output function is not defined!'),
+      '#',
+    );
+    expect(rta.state('dataLoading')).toBe(false);
+    expect(rta.find('textarea').node.value).toBe('#foo');
+  });
+});
+
+describe('WAI-ARIA combobox', () => {
+  let resolveData;
+  const rta = renderRta(
+    {
+      ':': {
+        dataProvider: token =>
+          new Promise((resolve) => {
+            resolveData = () =>
+              resolve(token === 'x' ? [] : ['happy_face', 'sad_face']);
+          }),
+        component: SmileItemComponent,
+      },
+    },
+    {
+      id: 'comment',
+      a11yMessages: {
+        loading: 'Načítání…',
+        results: count => `Počet návrhů: ${count}`,
+      },
+    },
+  );
+
+  const textarea = () => rta.find('textarea');
+  const liveRegion = () => rta.find('.rta__live-region');
+
+  it('should render collapsed combobox', () => {
+    expect(textarea().prop('role')).toBe('combobox');
+    expect(textarea().prop('aria-autocomplete')).toBe('list');
+    expect(textarea().prop('aria-expanded')).toBe(false);
+    expect(textarea().prop('aria-controls')).toBe('comment-listbox');
+    expect(textarea().prop('aria-activedescendant')).toBeUndefined();
+    expect(liveRegion().prop('aria-live')).toBe('polite');
+    expect(liveRegion().text()).toBe('');
+  });
+
+  it('should announce loading', () => {
+    textarea().simulate('change', { target: { value: ':a' } });
+    expect(liveRegion().text()).toBe('Načítání…');
+  });
+
+  it('should render listbox with options and announce the count', async () => {
+    resolveData();
+    await flush();
+
+    expect(textarea().prop('aria-expanded')).toBe(true);
+    expect(rta.find('[role="listbox"]').prop('id')).toBe('comment-listbox');
+
+    const options = rta.find('[role="option"]');
+    expect(options).toHaveLength(2);
+    expect(options.at(0).prop('id')).toBe('comment-listbox-option-0');
+    expect(options.at(0).prop('aria-selected')).toBe(true);
+    expect(options.at(1).prop('aria-selected')).toBe(false);
+    expect(textarea().prop('aria-activedescendant')).toBe(
+      'comment-listbox-option-0',
+    );
+    expect(liveRegion().text()).toBe('Počet návrhů: 2');
+  });
+
+  it('should point aria-activedescendant to the highlighted option', () => {
+    keyDown(textarea().node, { key: 'ArrowDown' });
+
+    expect(rta.find('[role="option"]').at(1).prop('aria-selected')).toBe(true);
+    expect(textarea().prop('aria-activedescendant')).toBe(
+      'comment-listbox-option-1',
+    );
+  });
+
+  it('should announce empty results with the default message', async () => {
+    textarea().simulate('change', { target: { value: ':x' } });
+    resolveData();
+    await flush();
+
+    expect(textarea().prop('aria-expanded')).toBe(false);
+    expect(textarea().prop('aria-activedescendant')).toBeUndefined();
+    expect(liveRegion().text()).toBe('No suggestions found');
+  });
+
+  it('should generate unique ids without the id prop', () => {
+    const trigger = {
+      ':': { dataProvider: () => [], component: SmileItemComponent },
+    };
+    const first = renderRta(trigger);
+    const second = renderRta(trigger);
+
+    const firstId = first.find('textarea').prop('aria-controls');
+    expect(firstId).toMatch(/^rta-\d+-listbox$/);
+    expect(firstId).not.toBe(second.find('textarea').prop('aria-controls'));
+  });
+});
+
+describe('dropdown positioning', () => {
+  const getCaretCoordinates = require('textarea-caret'); // eslint-disable-line global-require
+  const originalGetBoundingClientRect = Element.prototype.getBoundingClientRect;
+
+  const trigger = {
+    ':': {
+      dataProvider: () => ['smile'],
+      component: ({ entity }) => <div>{entity}</div>, // eslint-disable-line
+    },
+  };
+
+  const open = async (rta) => {
+    rta.find('textarea').simulate('change', { target: { value: ':s' } });
+    await flush();
+  };
+
+  beforeEach(() => {
+    getCaretCoordinates.mockImplementation(() => ({
+      top: 700,
+      left: 1000,
+      height: 20,
+    }));
+    // the dropdown is 200×100, everything else is placed in the top-left corner
+    Element.prototype.getBoundingClientRect = function getRect() {
+      return this.className.indexOf('rta__autocomplete') !== -1
+        ? { top: 0, left: 0, width: 200, height: 100 }
+        : { top: 0, left: 0, width: 0, height: 0 };
+    };
+  });
+
+  afterEach(() => {
+    Element.prototype.getBoundingClientRect = originalGetBoundingClientRect;
+    getCaretCoordinates.mockImplementation(() => ({
+      top: 0,
+      left: 0,
+      height: 0,
+    }));
+  });
+
+  it('should flip above the caret and stay within the viewport', async () => {
+    const rta = renderRta(trigger);
+    await open(rta);
+
+    const dropdown = rta.find('.rta__autocomplete');
+    expect(dropdown.hasClass('rta__autocomplete--top')).toBe(true);
+    expect(dropdown.prop('style')).toEqual({ top: 600, left: 824 });
+  });
+
+  it('should place the dropdown under the caret when there is enough space', async () => {
+    getCaretCoordinates.mockImplementation(() => ({
+      top: 100,
+      left: 50,
+      height: 20,
+    }));
+    const rta = renderRta(trigger);
+    await open(rta);
+
+    const dropdown = rta.find('.rta__autocomplete');
+    expect(dropdown.hasClass('rta__autocomplete--bottom')).toBe(true);
+    expect(dropdown.prop('style')).toEqual({ top: 120, left: 50 });
+  });
+
+  it('should follow the caret when the textarea is scrolled', async () => {
+    // the scroll event has to reach the window
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const rta = renderRta(trigger, {}, { attachTo: container });
+    await open(rta);
+
+    const textarea = rta.find('textarea').node;
+    Object.defineProperty(textarea, 'scrollTop', { value: 50 });
+    const event = document.createEvent('Event');
+    event.initEvent('scroll', false, false);
+    textarea.dispatchEvent(event);
+
+    expect(rta.find('.rta__autocomplete').prop('style')).toEqual({
+      top: 550,
+      left: 824,
+    });
+    rta.detach();
+    document.body.removeChild(container);
+  });
+
+  it('should open the dropdown to the left of the caret in RTL', async () => {
+    getCaretCoordinates.mockImplementation(() => ({
+      top: 100,
+      left: 300,
+      height: 20,
+    }));
+    const rta = renderRta(trigger, { dir: 'rtl' });
+    await open(rta);
+
+    const dropdown = rta.find('.rta__autocomplete');
+    expect(dropdown.prop('style')).toEqual({ top: 120, left: 100 });
+    expect(dropdown.prop('dir')).toBe('rtl');
+    expect(rta.find('.rta').hasClass('rta--rtl')).toBe(true);
+  });
+
+  it('should keep the RTL dropdown within the viewport', async () => {
+    getCaretCoordinates.mockImplementation(() => ({
+      top: 100,
+      left: 120,
+      height: 20,
+    }));
+    const rta = renderRta(trigger, { dir: 'rtl' });
+    await open(rta);
+
+    expect(rta.find('.rta__autocomplete').prop('style')).toEqual({
+      top: 120,
+      left: 0,
+    });
+  });
+
+  it('should render the dropdown into document.body with renderToBody', async () => {
+    const rta = renderRta(trigger, { renderToBody: true });
+    await open(rta);
+
+    const dropdown = document.body.querySelector('.rta__autocomplete');
+    expect(dropdown).not.toBeNull();
+    expect(dropdown.style.position).toBe('fixed');
+    expect(dropdown.style.top).toBe('600px');
+    expect(dropdown.textContent).toBe('smile');
+
+    rta.unmount();
+    expect(document.body.querySelector('.rta__autocomplete')).toBeNull();
+  });
+
+  it('should render the dropdown into the portalTarget', async () => {
+    const target = document.createElement('div');
+    const rta = renderRta(trigger, { portalTarget: () => target });
+    await open(rta);
+
+    expect(target.querySelector('.rta__autocomplete')).not.toBeNull();
+    rta.unmount();
+  });
+});
+
+describe('right-to-left text', () => {
+  const mentionProvider = jest.fn(() => ['דנה', 'jane']);
+
+  const rta = renderRta(
+    {
+      '@': {
+        dataProvider: mentionProvider,
+        component: SmileItemComponent,
+        output: (item, trigger) => `${trigger}${item}`,
+        activation: 'afterWhitespace',
+      },
+      '/': {
+        dataProvider: () => ['giphy'],
+        component: SmileItemComponent,
+        activation: 'lineStart',
+      },
+    },
+    { dir: 'rtl' },
+  );
+
+  const type = (value, selectionEnd = value.length) =>
+    rta.find('textarea').simulate('change', {
+      target: { value, selectionEnd, selectionStart: selectionEnd },
+    });
+
+  beforeEach(() => {
+    mentionProvider.mockClear();
+  });
+
+  it('should match tokens written in Hebrew and Arabic', () => {
+    type('שלום @דנ');
+    expect(mentionProvider).toHaveBeenLastCalledWith('דנ', expect.any(Object));
+
+    type('مرحبا @سا');
+    expect(mentionProvider).toHaveBeenLastCalledWith('سا', expect.any(Object));
+  });
+
+  it('should treat bidi marks as word boundaries', () => {
+    type('שלום\u200f@ja');
+    expect(mentionProvider).toHaveBeenLastCalledWith('ja', expect.any(Object));
+  });
+
+  it('should activate the line start trigger after bidi marks', () => {
+    type('שלום\n\u200f/gi');
+    expect(rta.state('currentTrigger')).toBe('/');
+  });
+
+  it('should replace only the token and keep bidi marks around it', async () => {
+    const value = 'مرحبا \u200e@ja\u200fعالم';
+    type(value, value.indexOf('\u200f'));
+    await flush();
+    rta.find('[role="option"]').at(1).simulate('mouseEnter');
+    keyDown(rta.find('textarea').node, { key: 'Enter' });
+
+    expect(rta.state('value')).toBe('مرحبا \u200e@jane\u200fعالم');
+    expect(rta.find('textarea').node.selectionEnd).toBe(
+      'مرحبا \u200e@jane'.length,
+    );
+  });
+});
+
+describe('imperative API', () => {
+  const mentionProvider = jest.fn(() => ['jane', 'john']);
+  const onChange = jest.fn();
+
+  const createRta = () =>
+    renderRta(
+      {
+        '@': {
+          dataProvider: mentionProvider,
+          component: SmileItemComponent,
+          output: (item, trigger) => `${trigger}${item}`,
+          activation: 'afterWhitespace',
+        },
+        '/': {
+          dataProvider: () => ['giphy'],
+          component: SmileItemComponent,
+          output: (item, trigger) => `${trigger}${item}`,
+          activation: 'lineStart',
+        },
+      },
+      { value: 'hello world', onChange },
+    );
+
+  beforeEach(() => {
+    mentionProvider.mockClear();
+    onChange.mockClear();
+  });
+
+  it('should get and set the caret position', () => {
+    const rta = createRta();
+    const instance = rta.instance();
+
+    instance.setCaretPosition(5);
+    expect(instance.getCaretPosition()).toBe(5);
+    expect(rta.find('textarea').node.selectionStart).toBe(5);
+  });
+
+  it('should insert the text at the caret and fire onChange', () => {
+    const rta = createRta();
+    const instance = rta.instance();
+
+    instance.setCaretPosition(5);
+    instance.insertText(' big');
+
+    expect(rta.state('value')).toBe('hello big world');
+    expect(instance.getCaretPosition()).toBe(9);
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange.mock.calls[0][0].type).toBe('change');
+    expect(mentionProvider).not.toHaveBeenCalled();
+  });
+
+  it('should replace the selected text', () => {
+    const rta = createRta();
+    const instance = rta.instance();
+
+    rta.find('textarea').node.setSelectionRange(6, 11);
+    instance.insertText('there');
+
+    expect(rta.state('value')).toBe('hello there');
+    expect(instance.getCaretPosition()).toBe(11);
+  });
+
+  it('should not change anything by the empty text at the caret', () => {
+    const rta = createRta();
+    const instance = rta.instance();
+    document.execCommand = jest.fn(() => true);
+
+    instance.setCaretPosition(5);
+    instance.insertText('');
+    const { execCommand } = document;
+    delete document.execCommand;
+
+    expect(execCommand).not.toHaveBeenCalled();
+    expect(rta.state('value')).toBe('hello world');
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  it('should open the suggestions when the inserted text completes a trigger', async () => {
+    const rta = createRta();
+    const instance = rta.instance();
+
+    instance.setCaretPosition(11);
+    instance.insertText(' @ja');
+    await flush();
+
+    expect(mentionProvider).toHaveBeenLastCalledWith('ja', expect.any(Object));
+    expect(rta.find('[role="option"]')).toHaveLength(2);
+  });
+
+  it('should open the suggestions as if the user typed the trigger', async () => {
+    const rta = createRta();
+    const instance = rta.instance();
+
+    instance.setCaretPosition(5);
+    instance.openSuggestions('@');
+    await flush();
+
+    expect(rta.state('value')).toBe('hello @ world');
+    expect(instance.getCaretPosition()).toBe(7);
+    expect(mentionProvider).toHaveBeenLastCalledWith('', expect.any(Object));
+    expect(instance.getSelectedItem()).toBe('jane');
+
+    keyDown(rta.find('textarea').node, { key: 'ArrowDown' });
+    expect(instance.getSelectedItem()).toBe('john');
+
+    keyDown(rta.find('textarea').node, { key: 'Enter' });
+    expect(rta.state('value')).toBe('hello @john world');
+    expect(instance.getSelectedItem()).toBeNull();
+  });
+
+  it('should open the suggestions with the token', async () => {
+    const rta = createRta();
+    const instance = rta.instance();
+
+    instance.setCaretPosition(11);
+    instance.openSuggestions('@', 'jo');
+    await flush();
+
+    expect(rta.state('value')).toBe('hello world @jo');
+    expect(mentionProvider).toHaveBeenLastCalledWith('jo', expect.any(Object));
+  });
+
+  it('should start a new line for the line start trigger', () => {
+    const rta = createRta();
+    const instance = rta.instance();
+
+    instance.setCaretPosition(11);
+    instance.openSuggestions('/');
+
+    expect(rta.state('value')).toBe('hello world\n/');
+    expect(rta.state('currentTrigger')).toBe('/');
+  });
+
+  it('should close the suggestions', async () => {
+    const rta = createRta();
+    const instance = rta.instance();
+
+    instance.openSuggestions('@');
+    await flush();
+    expect(rta.find('[role="listbox"]')).toHaveLength(1);
+
+    instance.closeSuggestions();
+    expect(rta.find('[role="listbox"]')).toHaveLength(0);
+    expect(instance.getSelectedItem()).toBeNull();
+  });
+
+  it('should throw for unknown trigger', () => {
+    const rta = createRta();
+
+    expect(() => rta.instance().openSuggestions('#')).toThrow(
+      'RTA: Unknown trigger "#"!',
+    );
+  });
+});
+
+describe('lifecycle callbacks', () => {
+  const callbacks = {
+    onItemSelected: jest.fn(),
+    onItemHighlighted: jest.fn(),
+    onSuggestionsOpen: jest.fn(),
+    onSuggestionsClose: jest.fn(),
+    onQuery: jest.fn(),
+    onBlur: jest.fn(),
+  };
+  const emojiProvider = jest.fn(() => Promise.resolve(['smile', 'sad']));
+
+  const rta = renderRta(
+    {
+      ':': {
+        dataProvider: emojiProvider,
+        component: SmileItemComponent,
+        output: (item, trigger) => `${trigger}${item}${trigger}`,
+      },
+      '@': {
+        dataProvider: () => Promise.reject(new Error('Offline')),
+        component: SmileItemComponent,
+      },
+      '#': {
+        dataProvider: () => ['react'],
+        component: SmileItemComponent,
+        cache: true,
+      },
+    },
+    callbacks,
+  );
+
+  const type = value =>
+    rta.find('textarea').simulate('change', { target: { value } });
+
+  const textarea = () => rta.find('textarea').node;
+
+  beforeEach(() => {
+    keyDown(textarea(), { key: 'Escape' });
+    Object.keys(callbacks).forEach(name => callbacks[name].mockClear());
+  });
+
+  it('should report opening and closing when the trigger is lost', () => {
+    type(':s');
+    expect(callbacks.onSuggestionsOpen).toHaveBeenCalledTimes(1);
+    expect(callbacks.onSuggestionsOpen).toHaveBeenCalledWith(':');
+
+    type(':sm');
+    expect(callbacks.onSuggestionsOpen).toHaveBeenCalledTimes(1);
+
+    type(':sm ');
+    expect(callbacks.onSuggestionsClose).toHaveBeenCalledTimes(1);
+    expect(callbacks.onSuggestionsClose).toHaveBeenCalledWith('noMatch', ':');
+  });
+
+  it('should report the highlighted and the selected item', async () => {
+    type(':s');
+    await flush();
+    expect(callbacks.onItemHighlighted).toHaveBeenLastCalledWith('smile', ':');
+
+    keyDown(textarea(), { key: 'ArrowDown' });
+    expect(callbacks.onItemHighlighted).toHaveBeenLastCalledWith('sad', ':');
+
+    keyDown(textarea(), { key: 'Enter' });
+    expect(callbacks.onItemSelected).toHaveBeenCalledWith('sad', ':');
+    expect(callbacks.onSuggestionsClose).toHaveBeenCalledWith('selection', ':');
+  });
+
+  it('should report closing by the dismiss key', async () => {
+    type(':s');
+    await flush();
+    keyDown(textarea(), { key: 'Escape' });
+
+    expect(callbacks.onSuggestionsClose).toHaveBeenCalledTimes(1);
+    expect(callbacks.onSuggestionsClose).toHaveBeenCalledWith('dismiss', ':');
+  });
+
+  it('should close the suggestions on blur', async () => {
+    type(':s');
+    await flush();
+    rta.find('textarea').simulate('blur');
+
+    expect(callbacks.onSuggestionsClose).toHaveBeenCalledWith('blur', ':');
+    expect(callbacks.onBlur).toHaveBeenCalledTimes(1);
+    expect(rta.find('.rta__autocomplete')).toHaveLength(0);
+  });
+
+  it('should report the latency and the count of the query', async () => {
+    const originalNow = Date.now;
+    let now = 1000;
+    Date.now = () => now;
+
+    type(':s');
+    now = 1250;
+    await flush();
+    Date.now = originalNow;
+
+    expect(callbacks.onQuery).toHaveBeenCalledTimes(1);
+    expect(callbacks.onQuery).toHaveBeenCalledWith({
+      trigger: ':',
+      token: 's',
+      duration: 250,
+      count: 2,
+      fromCache: false,
+      error: null,
+    });
+  });
+
+  it('should report failed queries', async () => {
+    type('@ja');
+    await flush();
+
+    const info = callbacks.onQuery.mock.calls[0][0];
+    expect(info.trigger).toBe('@');
+    expect(info.count).toBe(0);
+    expect(info.error.message).toBe('Offline');
+  });
+
+  it('should report queries answered from the cache', async () => {
+    type('#re');
+    await flush();
+    type('#rea');
+    await flush();
+    type('#re');
+
+    expect(callbacks.onQuery).toHaveBeenCalledTimes(3);
+    expect(callbacks.onQuery.mock.calls[2][0]).toEqual({
+      trigger: '#',
+      token: 're',
+      duration: 0,
+      count: 1,
+      fromCache: true,
+      error: null,
+    });
+  });
+});
+
+describe('output contract', () => {
+  const output = jest.fn();
+
+  const rta = renderRta({
+    '=': {
+      dataProvider: () => ['sum', 'max'],
+      component: SmileItemComponent,
+      output,
+    },
+  });
+
+  const type = (value, selectionEnd = value.length) =>
+    rta.find('textarea').simulate('change', {
+      target: { value, selectionEnd, selectionStart: selectionEnd },
+    });
+
+  const select = async (value, selectionEnd) => {
+    type(value, selectionEnd);
+    await flush();
+    rta.find('[role="option"]').at(0).simulate('click');
+  };
+
+  const caret = () => rta.find('textarea').node.selectionEnd;
+
+  beforeEach(() => {
+    output.mockReset();
+  });
+
+  it('should replace only the token typed after the trigger', async () => {
+    output.mockImplementation(item => item.toUpperCase());
+    // the same text appears earlier in the document
+    await select('=su and =su');
+
+    expect(rta.state('value')).toBe('=su and SUM');
+    expect(caret()).toBe(11);
+  });
+
+  it('should replace the rest of the word after the caret by default', async () => {
+    output.mockImplementation(item => item.toUpperCase());
+    await select('=su text =sumx tail', 12);
+
+    expect(rta.state('value')).toBe('=su text SUM tail');
+  });
+
+  it('should place the caret inside of the output', async () => {
+    output.mockImplementation(item => ({
+      text: `${item.toUpperCase()}()`,
+      caretPosition: 4,
+    }));
+    await select('x =s');
+
+    expect(rta.state('value')).toBe('x SUM()');
+    expect(caret()).toBe(6);
+  });
+
+  it('should place the caret at the start of the output', async () => {
+    output.mockImplementation(item => ({
+      text: item.toUpperCase(),
+      caretPosition: 'start',
+    }));
+    await select('x =s');
+
+    expect(caret()).toBe(2);
+  });
+
+  it('should keep the word after the caret', async () => {
+    output.mockImplementation(item => ({
+      text: `${item.toUpperCase()}(`,
+      keepWordAfterCaret: true,
+    }));
+    await select('=sa)', 2);
+
+    expect(rta.state('value')).toBe('SUM(a)');
+    expect(caret()).toBe(4);
+  });
+
+  it('should throw for invalid output', () => {
+    output.mockReturnValue({ caretPosition: 1 });
+
+    expect(() => rta.instance().getOutput('sum')).toThrow(
+      'RTA: Output has to be a string or an object with the text!',
+    );
+  });
+});
+
+describe('undo of the selection', () => {
+  const onChange = jest.fn();
+  const container = document.createElement('div');
+  document.body.appendChild(container);
+
+  // events of React have to reach the document
+  const rta = renderRta(
+    {
+      ':': {
+        dataProvider: () => ['smile', 'smirk'],
+        component: SmileItemComponent,
+      },
+    },
+    { onChange },
+    { attachTo: container },
+  );
+
+  const textarea = () => rta.find('textarea').node;
+
+  const type = (value) => {
+    rta.find('textarea').simulate('change', {
+      target: { value, selectionEnd: value.length, selectionStart: value.length },
+    });
+    textarea().setSelectionRange(value.length, value.length);
+  };
+
+  const select = async (value) => {
+    type(value);
+    await flush();
+    keyDown(textarea(), { key: 'Enter' });
+  };
+
+  afterEach(() => {
+    delete document.execCommand;
+    onChange.mockClear();
+  });
+
+  afterAll(() => {
+    rta.detach();
+    document.body.removeChild(container);
+  });
+
+  it('should undo and redo the selection with the fallback history', async () => {
+    await select('hi :smi');
+    expect(rta.state('value')).toBe('hi :smile:');
+
+    const undo = keyDown(textarea(), { key: 'z', ctrlKey: true });
+    expect(undo.defaultPrevented).toBe(true);
+    expect(rta.state('value')).toBe('hi :smi');
+    expect(textarea().selectionEnd).toBe(7);
+
+    keyDown(textarea(), { key: 'Z', ctrlKey: true, shiftKey: true });
+    expect(rta.state('value')).toBe('hi :smile:');
+    expect(textarea().selectionEnd).toBe(10);
+  });
+
+  it('should leave undo to the browser after the user typed', async () => {
+    await select('hi :smi');
+    type('hi :smile: and more');
+
+    const undo = keyDown(textarea(), { key: 'z', ctrlKey: true });
+    expect(undo.defaultPrevented).toBe(false);
+    expect(rta.state('value')).toBe('hi :smile: and more');
+  });
+
+  it('should insert the text natively when the browser supports it', async () => {
+    const valueSetter = Object.getOwnPropertyDescriptor(
+      HTMLTextAreaElement.prototype,
+      'value',
+    ).set;
+    // simulates the browser, it changes the value and fires the input event
+    document.execCommand = jest.fn((command, showUI, text) => {
+      const node = textarea();
+      const { value, selectionStart, selectionEnd } = node;
+      valueSetter.call(
+        node,
+        value.slice(0, selectionStart) + text + value.slice(selectionEnd),
+      );
+      const e = document.createEvent('Event');
+      e.initEvent('input', true, false);
+      node.dispatchEvent(e);
+      return true;
+    });
+
+    await select('hi :smi');
+    onChange.mockClear();
+    await select('hi :smile: :smi');
+
+    expect(document.execCommand).toHaveBeenLastCalledWith(
+      'insertText',
+      false,
+      ':smile:',
+    );
+    expect(rta.state('value')).toBe('hi :smile: :smile:');
+    expect(textarea().selectionEnd).toBe(18);
+    expect(rta.find('.rta__autocomplete')).toHaveLength(0);
+    // once by typing, once by the selection
+    expect(onChange).toHaveBeenCalledTimes(2);
+
+    // the native undo history is used
+    expect(keyDown(textarea(), { key: 'z', ctrlKey: true }).defaultPrevented).toBe(false);
+  });
+});
+
+describe('pluggable input element', () => {
+  const getCaretCoordinates = require('textarea-caret'); // eslint-disable-line global-require
+
+  const trigger = {
+    ':': {
+      dataProvider: () => ['smile', 'smirk'],
+      component: SmileItemComponent,
+    },
+  };
+
+  const selectFirst = async (rta, selector) => {
+    const value = 'hi :sm';
+    rta.find(selector).simulate('change', {
+      target: { value, selectionEnd: value.length, selectionStart: value.length },
+    });
+    await flush();
+
+    return keyDown(rta.find(selector).node, { key: 'Enter' });
+  };
+
+  it('should work with a single-line input', async () => {
+    const innerRef = jest.fn();
+    const rta = renderRta(trigger, {
+      textAreaComponent: 'input',
+      type: 'text',
+      innerRef,
+    });
+    const input = rta.find('input').node;
+
+    expect(rta.find('textarea')).toHaveLength(0);
+    expect(input.getAttribute('role')).toBe('combobox');
+    expect(innerRef).toHaveBeenCalledWith(input);
+
+    getCaretCoordinates.mockClear();
+    const enter = await selectFirst(rta, 'input');
+
+    expect(getCaretCoordinates).toHaveBeenCalledWith(input, 6);
+    // Enter commits the item instead of submitting the form
+    expect(enter.defaultPrevented).toBe(true);
+    expect(rta.state('value')).toBe('hi :smile:');
+  });
+
+  it('should use the textarea forwarded by the custom class component', async () => {
+    // eslint-disable-next-line react/prefer-stateless-function
+    class AutosizeTextarea extends React.Component {
+      render() {
+        // eslint-disable-next-line react/prop-types
+        const { textareaRef, ...props } = this.props;
+
+        return (
+          <div className="autosize">
+            <textarea ref={textareaRef} {...props} />
+          </div>
+        );
+      }
+    }
+
+    const innerRef = jest.fn();
+    const rta = renderRta(trigger, {
+      textAreaComponent: { component: AutosizeTextarea, ref: 'textareaRef' },
+      innerRef,
+    });
+
+    expect(innerRef).toHaveBeenCalledWith(rta.find('textarea').node);
+
+    await selectFirst(rta, 'textarea');
+    expect(rta.state('value')).toBe('hi :smile:');
+
+    rta.unmount();
+    expect(innerRef).toHaveBeenLastCalledWith(null);
+  });
+
+  it('should throw when the custom component forwards other element', () => {
+    // eslint-disable-next-line react/prop-types
+    const Wrapper = ({ inputRef }) => <div ref={inputRef} />;
+
+    expect(() =>
+      renderRta(trigger, {
+        textAreaComponent: { component: Wrapper, ref: 'inputRef' },
+      }),
+    ).toThrow(
+      'RTA: textAreaComponent has to pass the textarea or input element to its ref prop!',
+    );
+  });
+
+  it('should use the ref forwarded by the custom component', async () => {
+    // eslint-disable-next-line react/prop-types
+    const DesignSystemInput = ({ inputRef, ...props }) =>
+      <label htmlFor="ds">Message <input id="ds" ref={inputRef} {...props} /></label>;
+
+    const rta = renderRta(trigger, {
+      textAreaComponent: { component: DesignSystemInput, ref: 'inputRef' },
+    });
+
+    expect(rta.find('input').prop('className')).toContain('rta__textarea');
+
+    await selectFirst(rta, 'input');
+    expect(rta.state('value')).toBe('hi :smile:');
+  });
+});
+
+describe('entity tracking', () => {
+  const onEntitiesChange = jest.fn();
+  const users = [{ id: 42, name: 'Jane' }, { id: 7, name: 'John' }];
+
+  const createRta = props =>
+    renderRta(
+      {
+        '@': {
+          dataProvider: token =>
+            users.filter(({ name }) => name.toLowerCase().startsWith(token)),
+          component: SmileItemComponent,
+          output: item => `@${item.name}`,
+        },
+      },
+      { onEntitiesChange, ...props },
+    );
+
+  // simulates typing, the caret is placed at selectionEnd
+  const type = (rta, value, selectionEnd = value.length) => {
+    rta.find('textarea').simulate('change', {
+      target: { value, selectionEnd, selectionStart: selectionEnd },
+    });
+    rta.find('textarea').node.setSelectionRange(selectionEnd, selectionEnd);
+  };
+
+  const mention = async (rta, value) => {
+    type(rta, value);
+    await flush();
+    keyDown(rta.find('textarea').node, { key: 'Enter' });
+  };
+
+  beforeEach(() => {
+    onEntitiesChange.mockClear();
+  });
+
+  it('should record the inserted entities', async () => {
+    const rta = createRta();
+    await mention(rta, 'hi @ja');
+    await mention(rta, 'hi @Jane and @jo');
+
+    expect(rta.state('value')).toBe('hi @Jane and @John');
+    expect(rta.instance().getEntities()).toEqual([
+      { item: users[0], trigger: '@', start: 3, end: 8 },
+      { item: users[1], trigger: '@', start: 13, end: 18 },
+    ]);
+    expect(onEntitiesChange).toHaveBeenLastCalledWith(
+      rta.instance().getEntities(),
+    );
+  });
+
+  it('should move the entities when the text is edited before them', async () => {
+    const rta = createRta();
+    await mention(rta, '@ja');
+    type(rta, '@@Jane', 1);
+    type(rta, 'Hi @@Jane', 3);
+
+    expect(rta.instance().getEntities()).toEqual([
+      { item: users[0], trigger: '@', start: 4, end: 9 },
+    ]);
+
+    onEntitiesChange.mockClear();
+    type(rta, 'Hi @@Jane!');
+    expect(onEntitiesChange).not.toHaveBeenCalled();
+  });
+
+  it('should drop the entity edited by the user', async () => {
+    const rta = createRta();
+    await mention(rta, 'hi @ja');
+    type(rta, 'hi @Jan');
+
+    expect(rta.instance().getEntities()).toEqual([]);
+    expect(onEntitiesChange).toHaveBeenLastCalledWith([]);
+  });
+
+  it('should delete the entity atomically by Backspace', async () => {
+    const rta = createRta({ atomicEntities: true });
+    await mention(rta, 'hi @ja');
+    const textarea = rta.find('textarea').node;
+    textarea.setSelectionRange(8, 8);
+
+    expect(keyDown(textarea, { key: 'Backspace' }).defaultPrevented).toBe(true);
+    expect(rta.state('value')).toBe('hi ');
+    expect(rta.instance().getEntities()).toEqual([]);
+
+    // outside of entities Backspace works as usual
+    expect(keyDown(textarea, { key: 'Backspace' }).defaultPrevented).toBe(false);
+  });
+
+  it('should restore the entity by undo of its deletion', async () => {
+    const rta = createRta({ atomicEntities: true });
+    await mention(rta, 'hi @ja');
+    const textarea = rta.find('textarea').node;
+    const entities = rta.instance().getEntities();
+    textarea.setSelectionRange(8, 8);
+    keyDown(textarea, { key: 'Backspace' });
+
+    keyDown(textarea, { key: 'z', ctrlKey: true });
+    expect(rta.state('value')).toBe('hi @Jane');
+    expect(rta.instance().getEntities()).toEqual(entities);
+    expect(onEntitiesChange).toHaveBeenLastCalledWith(entities);
+
+    keyDown(textarea, { key: 'z', ctrlKey: true, shiftKey: true });
+    expect(rta.state('value')).toBe('hi ');
+    expect(rta.instance().getEntities()).toEqual([]);
+
+    // the selection is undone without its entity and redone with it
+    keyDown(textarea, { key: 'z', ctrlKey: true });
+    keyDown(textarea, { key: 'z', ctrlKey: true });
+    expect(rta.state('value')).toBe('hi @ja');
+    expect(rta.instance().getEntities()).toEqual([]);
+
+    keyDown(textarea, { key: 'z', ctrlKey: true, shiftKey: true });
+    expect(rta.state('value')).toBe('hi @Jane');
+    expect(rta.instance().getEntities()).toEqual(entities);
+  });
+
+  it('should not delete the entity atomically by default', async () => {
+    const rta = createRta();
+    await mention(rta, 'hi @ja');
+    const textarea = rta.find('textarea').node;
+    textarea.setSelectionRange(8, 8);
+
+    expect(keyDown(textarea, { key: 'Backspace' }).defaultPrevented).toBe(false);
+  });
+
+  it('should serialize the entities into the markup and parse it back', async () => {
+    const serializer = createMarkupSerializer({
+      triggers: ['@'],
+      getId: item => `user:${item.id}`,
+      getItem: (id, display) => ({ id: Number(id.slice(5)), name: display }),
+    });
+    const rta = createRta();
+    await mention(rta, 'hi @ja');
+    await mention(rta, 'hi @Jane and [@Jane] @ja');
+
+    const markup = serializer.serialize(
+      rta.state('value'),
+      rta.instance().getEntities(),
+    );
+    expect(markup).toBe('hi @[Jane](user:42) and [@Jane] @[Jane](user:42)');
+
+    const { value, entities } = serializer.parse(markup);
+    expect(value).toBe(rta.state('value'));
+    expect(entities).toEqual(rta.instance().getEntities());
+
+    const restored = createRta({ value, defaultEntities: entities });
+    expect(restored.instance().getEntities()).toEqual(entities);
+  });
+
+  it('should escape the markup', () => {
+    const serializer = createMarkupSerializer({
+      triggers: ['#', '##'],
+      getId: item => item,
+      getItem: id => id,
+    });
+    const entities = [{ item: 'a)b', trigger: '##', start: 0, end: 6 }];
+    const markup = serializer.serialize('##x]y\\', entities);
+
+    expect(markup).toBe('##[x\\]y\\\\](a\\)b)');
+    expect(serializer.parse(markup)).toEqual({ value: '##x]y\\', entities });
+  });
+
+  it('should keep the plain text which looks like the markup', () => {
+    const serializer = createMarkupSerializer({
+      triggers: ['@'],
+      getId: item => item.id,
+    });
+
+    [
+      ['see @[x](y) and @Jane', 16],
+      ['@\\[x](y) @@[z](w) and @Jane', 22],
+      ['@Jane @[', 0],
+    ].forEach(([value, start]) => {
+      const entities = [
+        { item: { id: '42', display: 'Jane' }, trigger: '@', start, end: start + 5 },
+      ];
+
+      expect(serializer.parse(serializer.serialize(value, entities))).toEqual({
+        value,
+        entities,
+      });
+    });
+    expect(
+      serializer.serialize('see @[x](y) and @Jane', [
+        { item: { id: '42' }, trigger: '@', start: 16, end: 21 },
+      ]),
+    ).toBe('see @\\[x](y) and @[Jane](42)');
+  });
+});
+
+describe('paginated suggestions', () => {
+  const pages = [['a1', 'a2', 'a3'], ['a4', 'a5', 'a6'], ['a7']];
+  const dataProvider = jest.fn((token, { offset }) => {
+    const page = offset / 3;
+    return Promise.resolve({
+      items: pages[page],
+      hasMore: page < pages.length - 1,
+    });
+  });
+  // eslint-disable-next-line
+  const PageItem = ({ entity }) => <div>{entity}</div>;
+
+  const rta = renderRta({
+    ':': {
+      dataProvider,
+      component: PageItem,
+      output: (item, trigger) => `${trigger}${item}${trigger}`,
+    },
+  });
+
+  const textarea = () => rta.find('textarea').node;
+
+  const open = async () => {
+    rta.find('textarea').simulate('change', { target: { value: ':a' } });
+    await flush();
+  };
+
+  beforeEach(() => {
+    keyDown(textarea(), { key: 'Escape' });
+    dataProvider.mockClear();
+  });
+
+  it('should pass the offset and append the next page', async () => {
+    await open();
+    expect(dataProvider).toHaveBeenCalledTimes(1);
+    expect(dataProvider.mock.calls[0][1].offset).toBe(0);
+    expect(rta.find('.rta__item')).toHaveLength(3);
+
+    rta.find('.rta__list').simulate('scroll');
+    await flush();
+
+    expect(dataProvider).toHaveBeenCalledTimes(2);
+    expect(dataProvider.mock.calls[1][1].offset).toBe(3);
+    expect(rta.find('.rta__item')).toHaveLength(6);
+  });
+
+  it('should keep the selection when the next page is loaded', async () => {
+    await open();
+    keyDown(textarea(), { key: 'ArrowDown' });
+    expect(rta.find('.rta__entity--selected').text()).toBe('a2');
+
+    rta.find('.rta__list').simulate('scroll');
+    await flush();
+
+    expect(rta.find('.rta__entity--selected').text()).toBe('a2');
+  });
+
+  it('should load the next page when the last item is reached by arrows', async () => {
+    await open();
+    keyDown(textarea(), { key: 'ArrowDown' });
+    expect(dataProvider).toHaveBeenCalledTimes(1);
+
+    keyDown(textarea(), { key: 'ArrowDown' });
+    await flush();
+
+    expect(dataProvider).toHaveBeenCalledTimes(2);
+    expect(rta.find('.rta__entity--selected').text()).toBe('a3');
+
+    keyDown(textarea(), { key: 'ArrowDown' });
+    expect(rta.find('.rta__entity--selected').text()).toBe('a4');
+  });
+
+  it('should not wrap around to the first item while there are more items', async () => {
+    await open();
+    // the next page is still loading
+    dataProvider.mockImplementationOnce(() => new Promise(() => {}));
+
+    keyDown(textarea(), { key: 'ArrowDown' });
+    keyDown(textarea(), { key: 'ArrowDown' });
+    keyDown(textarea(), { key: 'ArrowDown' });
+    await flush();
+
+    expect(rta.find('.rta__entity--selected').text()).toBe('a3');
+    expect(rta.find('.rta__loader--more')).toHaveLength(1);
+  });
+
+  it('should load only the scrolled pages and stop when there are no more', async () => {
+    await open();
+    const list = rta.find('.rta__list');
+
+    list.simulate('scroll');
+    await flush();
+    list.simulate('scroll');
+    await flush();
+    expect(rta.find('.rta__item')).toHaveLength(7);
+
+    rta.find('.rta__list').simulate('scroll');
+    await flush();
+    expect(dataProvider).toHaveBeenCalledTimes(3);
+  });
+
+  it('should load the next page only near the bottom of the list', async () => {
+    await open();
+    const list = rta.find('.rta__list').node;
+    Object.defineProperty(list, 'scrollHeight', { value: 300 });
+    Object.defineProperty(list, 'clientHeight', { value: 100 });
+
+    list.scrollTop = 0;
+    rta.find('.rta__list').simulate('scroll');
+    await flush();
+    expect(dataProvider).toHaveBeenCalledTimes(1);
+
+    list.scrollTop = 160;
+    rta.find('.rta__list').simulate('scroll');
+    await flush();
+    expect(dataProvider).toHaveBeenCalledTimes(2);
+  });
+
+  it('should scroll the selected item into view', async () => {
+    await open();
+    const list = rta.find('.rta__list').node;
+    const items = list.children;
+    list.getBoundingClientRect = () => ({ top: 0, bottom: 50 });
+    items[1].getBoundingClientRect = () => ({ top: 40, bottom: 70 });
+    list.scrollTop = 0;
+
+    keyDown(textarea(), { key: 'ArrowDown' });
+    expect(list.scrollTop).toBe(20);
+
+    items[0].getBoundingClientRect = () => ({ top: -10, bottom: 20 });
+    keyDown(textarea(), { key: 'ArrowUp' });
+    expect(list.scrollTop).toBe(10);
+  });
+});
+
+describe('large result sets', () => {
+  const emoji = Array.from({ length: 1000 }, (_, index) => ({
+    id: index,
+    char: index % 2 ? 'smile' : 'sad',
+  }));
+  // eslint-disable-next-line
+  const EmojiItem = ({ entity }) => <div>{`${entity.char} ${entity.id}`}</div>;
+  const output = jest.fn(item => item.char);
+
+  const createRta = (settings) => {
+    const rta = renderRta({
+      ':': {
+        dataProvider: () => emoji,
+        component: EmojiItem,
+        output,
+        ...settings,
+      },
+    });
+    const textarea = () => rta.find('textarea').node;
+    const open = async () => {
+      rta.find('textarea').simulate('change', { target: { value: ':s' } });
+      await flush();
+    };
+
+    return { rta, textarea, open };
+  };
+
+  beforeEach(() => {
+    output.mockClear();
+  });
+
+  it('should use the item keys instead of the output', async () => {
+    const { rta, textarea, open } = createRta({
+      itemKey: item => `emoji-${item.id}`,
+      itemHeight: 20,
+    });
+
+    await open();
+    keyDown(textarea(), { key: 'ArrowDown' });
+    keyDown(textarea(), { key: 'ArrowDown' });
+
+    expect(output).not.toHaveBeenCalled();
+    expect(rta.find('.rta__entity--selected').text()).toBe('sad 2');
+  });
+
+  it('should track the highlighted item by index when the outputs are the same', async () => {
+    const error = jest.spyOn(console, 'error');
+    const { rta, textarea, open } = createRta({ itemHeight: 20 });
+
+    await open();
+    keyDown(textarea(), { key: 'ArrowDown' });
+    keyDown(textarea(), { key: 'ArrowDown' });
+
+    expect(rta.find('.rta__entity--selected')).toHaveLength(1);
+    expect(rta.find('.rta__entity--selected').text()).toBe('sad 2');
+    // keys of the rendered rows are computed once
+    expect(output.mock.calls.length).toBeLessThanOrEqual(emoji.length);
+    expect(error).not.toHaveBeenCalled();
+
+    error.mockRestore();
+  });
+
+  it('should render only the visible rows', async () => {
+    const { rta, open } = createRta({ itemHeight: 20 });
+
+    await open();
+
+    const items = rta.find('.rta__item');
+    expect(items.length).toBeLessThan(20);
+    expect(items.first().text()).toBe('sad 0');
+    expect(rta.find('.rta__spacer').last().prop('style')).toEqual({
+      height: (emoji.length - items.length) * 20,
+    });
+    expect(rta.find('.rta__entity').first().prop('aria-setsize')).toBe(1000);
+  });
+
+  it('should render the rows scrolled into the view', async () => {
+    const { rta, open } = createRta({ itemHeight: 20 });
+
+    await open();
+    rta.find('.rta__list').node.scrollTop = 2000;
+    rta.find('.rta__list').simulate('scroll');
+
+    expect(rta.find('.rta__spacer').first().prop('style')).toEqual({
+      height: 97 * 20,
+    });
+    expect(rta.find('.rta__item').first().text()).toBe('smile 97');
+  });
+
+  it('should scroll to the highlighted row', async () => {
+    const { rta, textarea, open } = createRta({ itemHeight: 20 });
+
+    await open();
+    keyDown(textarea(), { key: 'End' });
+
+    const selected = rta.find('.rta__entity--selected');
+    expect(selected.text()).toBe('smile 999');
+    expect(selected.prop('aria-posinset')).toBe(1000);
+    expect(rta.find('.rta__list').node.scrollTop).toBe(19800);
+    expect(rta.find('textarea').prop('aria-activedescendant')).toBe(
+      selected.prop('id'),
+    );
+  });
+});
+
+describe('grouped sections', () => {
+  // eslint-disable-next-line
+  const UserItem = ({ entity }) => <div>{entity}</div>;
+  const dataProvider = jest.fn(() => ({
+    sections: [
+      { title: 'Recent', items: ['jane'] },
+      { title: 'In this channel', items: ['jack', 'john'] },
+      { title: 'Everyone', items: ['jill'] },
+    ],
+  }));
+
+  const rta = renderRta({
+    '@': {
+      dataProvider,
+      component: UserItem,
+      output: item => `@${item}`,
+      cache: { refine: (item, token) => item.startsWith(token) },
+    },
+  });
+
+  const textarea = () => rta.find('textarea').node;
+
+  const type = async (value) => {
+    rta.find('textarea').simulate('change', { target: { value } });
+    await flush();
+  };
+
+  const getSelected = () => rta.find('.rta__entity--selected').text();
+
+  beforeEach(() => {
+    keyDown(textarea(), { key: 'Escape' });
+  });
+
+  it('should render the items under the section headers', async () => {
+    await type('@j');
+
+    const sections = rta.find('.rta__section');
+    expect(sections).toHaveLength(3);
+    expect(sections.map(section => section.find('.rta__section-header').text()))
+      .toEqual(['Recent', 'In this channel', 'Everyone']);
+    expect(sections.at(1).find('.rta__item')).toHaveLength(2);
+  });
+
+  it('should label the groups by the headers', async () => {
+    await type('@j');
+
+    const section = rta.find('.rta__section').first();
+    expect(section.prop('role')).toBe('group');
+    expect(section.prop('aria-labelledby')).toBe(
+      section.find('.rta__section-header').prop('id'),
+    );
+    expect(section.find('[role="option"]')).toHaveLength(1);
+  });
+
+  it('should skip the headers and wrap across the sections', async () => {
+    await type('@j');
+    expect(getSelected()).toBe('jane');
+
+    keyDown(textarea(), { key: 'ArrowDown' });
+    expect(getSelected()).toBe('jack');
+
+    keyDown(textarea(), { key: 'ArrowDown' });
+    keyDown(textarea(), { key: 'ArrowDown' });
+    expect(getSelected()).toBe('jill');
+
+    keyDown(textarea(), { key: 'ArrowDown' });
+    expect(getSelected()).toBe('jane');
+
+    keyDown(textarea(), { key: 'ArrowUp' });
+    expect(getSelected()).toBe('jill');
+  });
+
+  it('should select the item of the section', async () => {
+    const onChange = jest.fn();
+    rta.setProps({ onChange });
+    await type('@j');
+
+    keyDown(textarea(), { key: 'ArrowDown' });
+    keyDown(textarea(), { key: 'Enter' });
+
+    expect(rta.find('textarea').node.value).toBe('@jack');
+    rta.setProps({ onChange: undefined });
+  });
+
+  it('should keep the sections of the refined cached items', async () => {
+    dataProvider.mockClear();
+    await type('@j');
+    await type('@ja');
+
+    expect(dataProvider).toHaveBeenCalledTimes(0);
+    expect(
+      rta.find('.rta__section-header').map(header => header.text()),
+    ).toEqual(['Recent', 'In this channel']);
+    expect(rta.find('.rta__item').map(item => item.text())).toEqual([
+      'jane',
+      'jack',
+    ]);
+  });
+});
+
+describe('fuzzy matcher', () => {
+  const emoji = ['smiley', 'some_mild', 'grinning_smile', 'smile', 'sweat_smile'];
+
+  it('should rank the items by the match', () => {
+    const { dataProvider } = createFuzzyMatcher(emoji);
+
+    expect(dataProvider('smile')).toEqual([
+      'smile',
+      'smiley',
+      'sweat_smile',
+      'grinning_smile',
+    ]);
+  });
+
+  it('should match the scattered characters', () => {
+    const { dataProvider, matchRanges } = createFuzzyMatcher(emoji);
+
+    expect(dataProvider('gsm')).toEqual(['grinning_smile']);
+    expect(matchRanges('grinning_smile', 'gsm')).toEqual([[0, 1], [9, 11]]);
+  });
+
+  it('should limit the items', () => {
+    const { dataProvider } = createFuzzyMatcher(emoji, { limit: 2 });
+
+    expect(dataProvider('smile')).toEqual(['smile', 'smiley']);
+    expect(dataProvider('')).toEqual(['smiley', 'some_mild']);
+  });
+
+  it('should match the keys of the object items', () => {
+    const items = [
+      { name: 'smile', char: '🙂', category: 'face' },
+      { name: 'heart', char: '❤️', category: 'smileys' },
+      { name: 'cat', char: '🐱', category: 'animal' },
+    ];
+    const { dataProvider, matchRanges } = createFuzzyMatcher(items, {
+      keys: ['name', 'category'],
+    });
+
+    expect(dataProvider('smi')).toEqual([items[0], items[1]]);
+    expect(matchRanges(items[0], 'smi')).toEqual({ name: [[0, 3]] });
+    expect(matchRanges(items[1], 'smi')).toEqual({ category: [[0, 3]] });
+    expect(matchRanges(items[2], 'smi')).toBeNull();
+  });
+
+  it('should throw for the object items without keys', () => {
+    const { dataProvider } = createFuzzyMatcher([{ name: 'smile' }]);
+
+    expect(() => dataProvider('smi')).toThrow(
+      'RTA: Keys have to be defined to match the object items!',
+    );
+  });
+
+  it('should pass the match ranges to the item component', async () => {
+    // eslint-disable-next-line
+    const HighlightedItem = ({ entity, matchRanges }) => (
+      <div>
+        {entity.slice(0, matchRanges[0][0])}
+        <b>{entity.slice(matchRanges[0][0], matchRanges[0][1])}</b>
+        {entity.slice(matchRanges[0][1])}
+      </div>
+    );
+    const rta = renderRta({
+      ':': {
+        ...createFuzzyMatcher(emoji),
+        component: HighlightedItem,
+      },
+    });
+
+    rta.find('textarea').simulate('change', { target: { value: ':smile' } });
+    await flush();
+
+    expect(rta.find('.rta__item b').map(bold => bold.text())).toEqual([
+      'smile',
+      'smile',
+      'smile',
+      'smile',
+    ]);
+    expect(rta.find('.rta__item').at(2).text()).toBe('sweat_smile');
+  });
+});
+
+describe('recently used items', () => {
+  const fruit = ['apple', 'banana', 'cherry', 'avocado'];
+  // eslint-disable-next-line
+  const FruitItem = ({ entity }) => <div>{entity}</div>;
+
+  const createRta = (recent, props, settings) => {
+    const dataProvider = jest.fn(token =>
+      fruit.filter(item => item.includes(token)),
+    );
+    const rta = renderRta(
+      {
+        ':': {
+          dataProvider,
+          component: FruitItem,
+          output: item => item,
+          recent,
+          ...settings,
+        },
+      },
+      props,
+    );
+    const type = async (value) => {
+      rta.find('textarea').simulate('change', { target: { value } });
+      await flush();
+    };
+    const select = async (token, item) => {
+      await type(`:${token}`);
+      rta
+        .find('.rta__item')
+        .filterWhere(node => node.text() === item)
+        .find('.rta__entity')
+        .simulate('mouseenter');
+      keyDown(rta.find('textarea').node, { key: 'Enter' });
+      await flush();
+    };
+    const getItems = () => rta.find('.rta__item').map(node => node.text());
+
+    return { rta, type, select, getItems, dataProvider };
+  };
+
+  it('should rank the selected items first', async () => {
+    const { type, select, getItems } = createRta(true);
+
+    await select('a', 'avocado');
+    await type(':a');
+
+    expect(getItems()).toEqual(['avocado', 'apple', 'banana']);
+  });
+
+  it('should rank the frequently selected items first', async () => {
+    const { type, select, getItems } = createRta(true);
+
+    await select('a', 'banana');
+    await select('a', 'banana');
+    await select('a', 'avocado');
+    await type(':a');
+
+    expect(getItems()).toEqual(['banana', 'avocado', 'apple']);
+  });
+
+  it('should not rank without the tracking', async () => {
+    const { type, select, getItems } = createRta(undefined);
+
+    await select('a', 'avocado');
+    await type(':a');
+
+    expect(getItems()).toEqual(['apple', 'banana', 'avocado']);
+  });
+
+  it('should show the recent items before the token is typed', async () => {
+    const { type, select, getItems, dataProvider } = createRta(true, {
+      minChar: 0,
+    });
+
+    await type(':');
+    expect(getItems()).toEqual(fruit);
+
+    await select('ch', 'cherry');
+    dataProvider.mockClear();
+    await type(':');
+
+    expect(getItems()).toEqual(['cherry']);
+    expect(dataProvider).not.toHaveBeenCalled();
+  });
+
+  it('should pass the index of the ranked item to itemKey', async () => {
+    const itemKey = jest.fn(item => item);
+    const { type, select, getItems } = createRta(true, {}, { itemKey });
+
+    await select('a', 'avocado');
+    itemKey.mockClear();
+    await type(':a');
+
+    expect(getItems()).toEqual(['avocado', 'apple', 'banana']);
+    expect(itemKey).toHaveBeenCalledWith('avocado', 2);
+    expect(itemKey.mock.calls.every(([, index]) => index >= 0)).toBe(true);
+  });
+
+  it('should not reopen the dismissed suggestions when the storage loads', async () => {
+    let resolveStorage;
+    const storage = {
+      get: () =>
+        new Promise((resolve) => {
+          resolveStorage = resolve;
+        }),
+      set: () => {},
+    };
+    const onSuggestionsClose = jest.fn();
+    const { rta, type, dataProvider } = createRta(
+      { storage },
+      { onSuggestionsClose },
+    );
+
+    await type(':a');
+    expect(rta.find('.rta__loader')).toHaveLength(1);
+
+    keyDown(rta.find('textarea').node, { key: 'Escape' });
+    expect(onSuggestionsClose).toHaveBeenCalledWith('dismiss', ':');
+
+    resolveStorage([]);
+    await flush();
+
+    expect(dataProvider).not.toHaveBeenCalled();
+    expect(rta.find('.rta__autocomplete')).toHaveLength(0);
+  });
+
+  it('should not update the unmounted component when the storage loads', async () => {
+    const error = jest.spyOn(console, 'error');
+    let resolveStorage;
+    const storage = {
+      get: () =>
+        new Promise((resolve) => {
+          resolveStorage = resolve;
+        }),
+      set: () => {},
+    };
+    const { rta, type, dataProvider } = createRta({ storage });
+
+    await type(':a');
+    rta.unmount();
+    resolveStorage([]);
+    await flush();
+
+    expect(dataProvider).not.toHaveBeenCalled();
+    expect(error).not.toHaveBeenCalled();
+    error.mockRestore();
+  });
+
+  it('should store the usage in the localStorage', async () => {
+    // jsdom doesn't implement localStorage
+    const values = {};
+    window.localStorage = {
+      getItem: key => (key in values ? values[key] : null),
+      setItem: (key, value) => {
+        values[key] = String(value);
+      },
+    };
+
+    const first = createRta({ storage: createLocalStorage() });
+    await first.select('a', 'avocado');
+
+    expect(JSON.parse(window.localStorage.getItem('rta-usage-:'))).toEqual([
+      expect.objectContaining({ key: 'avocado', item: 'avocado', count: 1 }),
+    ]);
+
+    const second = createRta({ storage: createLocalStorage() });
+    await second.type(':a');
+    expect(second.getItems()).toEqual(['avocado', 'apple', 'banana']);
+
+    delete window.localStorage;
+  });
+
+  it('should load the usage from the async storage', async () => {
+    const storage = {
+      get: jest.fn(() =>
+        Promise.resolve([
+          { key: 'avocado', item: 'avocado', count: 1, lastUsed: Date.now() },
+        ]),
+      ),
+      set: jest.fn(() => Promise.resolve()),
+    };
+    const { type, select, getItems } = createRta({
+      storage,
+      storageKey: 'fruit',
+    });
+
+    await type(':a');
+    expect(storage.get).toHaveBeenCalledWith('fruit');
+    expect(getItems()).toEqual(['avocado', 'apple', 'banana']);
+
+    await select('a', 'apple');
+    expect(storage.get).toHaveBeenCalledTimes(1);
+    expect(storage.set.mock.calls[0][0]).toBe('fruit');
+    expect(storage.set.mock.calls[0][1].map(({ key }) => key)).toEqual([
+      'avocado',
+      'apple',
+    ]);
+  });
+});
+
+describe('server-side rendering', () => {
+  const rtaElement = (
+    <ReactTextareaAutocomplete
+      loadingComponent={Loading}
+      value="Hi :"
+      trigger={{
+        ':': {
+          dataProvider: () => ['smile'],
+          component: SmileItemComponent,
+        },
+      }}
+    />
+  );
+
+  it('should render the same markup on every render', () => {
+    const markup = renderToString(rtaElement);
+
+    expect(renderToString(rtaElement)).toBe(markup);
+    expect(markup).not.toContain('rta-');
+    expect(markup).toContain('Hi :');
+  });
+
+  it('should generate the ids after the mount', () => {
+    const rta = mount(rtaElement);
+
+    expect(rta.find('textarea').prop('aria-controls')).toMatch(
+      /^rta-\d+-listbox$/,
+    );
+  });
+
+  it('should update the value from the props after the mount', () => {
+    const rta = mount(rtaElement);
+
+    rta.setProps({ value: 'Bye' });
+
+    expect(rta.find('textarea').node.value).toBe('Bye');
+    expect(rta.state('value')).toBe('Bye');
+  });
+
+  it('should keep the value when only the state changes', () => {
+    const rta = mount(rtaElement);
+
+    rta.find('textarea').simulate('change', { target: { value: 'Hi :s' } });
+
+    expect(rta.state('value')).toBe('Hi :s');
+  });
+});
+
+describe('headless mode', () => {
+  let renderProps;
+  const onChange = jest.fn();
+  const rta = mount(
+    <ReactTextareaAutocomplete
+      id="message"
+      trigger={{
+        '@': {
+          dataProvider: token =>
+            Promise.resolve(
+              ['jane', 'john', 'jack'].filter(name => name.startsWith(token)),
+            ),
+          output: item => `@${item}`,
+        },
+      }}
+    >
+      {(props) => {
+        renderProps = props;
+        const { getTextareaProps, getListProps, getItemProps } = props;
+
+        return (
+          <div className="custom">
+            <textarea {...getTextareaProps({ onChange })} />
+            {props.isOpen &&
+              <ul {...getListProps({ className: 'custom__list' })}>
+                {props.items.map((item, index) => (
+                  <li key={item} {...getItemProps({ index })}>
+                    {item}
+                  </li>
+                ))}
+              </ul>}
+          </div>
+        );
+      }}
+    </ReactTextareaAutocomplete>,
+  );
+
+  const textarea = () => rta.find('textarea');
+  const options = () => rta.find('li');
+
+  it('should render only the children', () => {
+    expect(rta.find('.custom')).toHaveLength(1);
+    expect(rta.find('.rta')).toHaveLength(0);
+    expect(renderProps.isOpen).toBe(false);
+    expect(textarea().prop('role')).toBe('combobox');
+    expect(textarea().prop('aria-expanded')).toBe(false);
+  });
+
+  it('should expose the state of the suggestions', async () => {
+    textarea().simulate('change', { target: { value: 'Hi @j' } });
+
+    expect(onChange).toHaveBeenCalled();
+    expect(renderProps.isOpen).toBe(true);
+    expect(renderProps.loading).toBe(true);
+    expect(renderProps.trigger).toBe('@');
+    expect(renderProps.token).toBe('j');
+
+    await flush();
+
+    expect(renderProps.loading).toBe(false);
+    expect(renderProps.items).toEqual(['jane', 'john', 'jack']);
+    expect(renderProps.highlightedIndex).toBe(0);
+    expect(renderProps.caret).toEqual(
+      expect.objectContaining({ top: expect.any(Number) }),
+    );
+    expect(rta.find('ul').prop('id')).toBe('message-listbox');
+    expect(rta.find('ul').prop('role')).toBe('listbox');
+    expect(rta.find('ul').hasClass('custom__list')).toBe(true);
+    expect(options()).toHaveLength(3);
+    expect(options().first().prop('aria-selected')).toBe(true);
+    expect(textarea().prop('aria-activedescendant')).toBe(
+      'message-listbox-option-0',
+    );
+  });
+
+  it('should move the highlight by the keyboard', () => {
+    keyDown(textarea().node, { key: 'ArrowDown' });
+    keyDown(textarea().node, { key: 'ArrowDown' });
+    expect(renderProps.highlightedIndex).toBe(2);
+
+    keyDown(textarea().node, { key: 'ArrowDown' });
+    expect(renderProps.highlightedIndex).toBe(0);
+
+    keyDown(textarea().node, { key: 'ArrowUp' });
+    expect(renderProps.highlightedIndex).toBe(2);
+    expect(options().at(2).prop('aria-selected')).toBe(true);
+  });
+
+  it('should keep the focus in the textarea when the list is pressed', () => {
+    const onMouseDown = jest.fn();
+    const list = mount(
+      <ReactTextareaAutocomplete trigger={{}}>
+        {({ getListProps }) => <ul {...getListProps({ onMouseDown })} />}
+      </ReactTextareaAutocomplete>,
+    );
+    const event = { preventDefault: jest.fn() };
+
+    list.find('ul').simulate('mousedown', event);
+
+    expect(event.preventDefault).toHaveBeenCalled();
+    expect(onMouseDown).toHaveBeenCalled();
+  });
+
+  it('should highlight the item under the mouse', () => {
+    options().at(1).simulate('mouseenter');
+    expect(renderProps.highlightedIndex).toBe(1);
+  });
+
+  it('should select the highlighted item by Enter', () => {
+    keyDown(textarea().node, { key: 'Enter' });
+
+    expect(textarea().node.value).toBe('Hi @john');
+    expect(renderProps.isOpen).toBe(false);
+    expect(options()).toHaveLength(0);
+  });
+
+  it('should select the clicked item', async () => {
+    textarea().simulate('change', { target: { value: 'Hi @ja' } });
+    await flush();
+
+    expect(renderProps.items).toEqual(['jane', 'jack']);
+
+    options().at(1).simulate('click');
+
+    expect(textarea().node.value).toBe('Hi @jack');
+  });
+
+  it('should close the suggestions', async () => {
+    textarea().simulate('change', { target: { value: 'Hi @j' } });
+    await flush();
+    expect(renderProps.isOpen).toBe(true);
+
+    renderProps.close();
+    rta.update();
+
+    expect(renderProps.isOpen).toBe(false);
+  });
+
+  it('should offer the "create new" action after the items', async () => {
+    const onCreate = jest.fn(token => `${token}-new`);
+    let createProps;
+    const creating = mount(
+      <ReactTextareaAutocomplete
+        trigger={{
+          '#': {
+            dataProvider: token => ['bug'].filter(tag => tag.startsWith(token)),
+            output: item => `#${item}`,
+            onCreate,
+          },
+        }}
+      >
+        {(props) => {
+          createProps = props;
+          const { getTextareaProps, getItemProps, items } = props;
+
+          return (
+            <div>
+              <textarea {...getTextareaProps()} />
+              {props.canCreate &&
+                <button {...getItemProps({ index: items.length })}>
+                  Create
+                </button>}
+            </div>
+          );
+        }}
+      </ReactTextareaAutocomplete>,
+    );
+    const input = () => creating.find('textarea');
+
+    input().simulate('change', { target: { value: 'Hi #b' } });
+    await flush();
+
+    expect(createProps.canCreate).toBe(true);
+    expect(createProps.items).toEqual(['bug']);
+
+    keyDown(input().node, { key: 'ArrowDown' });
+    expect(createProps.highlightedIndex).toBe(1);
+    expect(creating.find('button').prop('aria-selected')).toBe(true);
+
+    keyDown(input().node, { key: 'Enter' });
+    await flush();
+
+    expect(onCreate).toHaveBeenCalledWith('b', '#');
+    expect(input().node.value).toBe('Hi #b-new');
+
+    input().simulate('change', { target: { value: 'Hi #x' } });
+    await flush();
+
+    expect(createProps.items).toEqual([]);
+    expect(createProps.highlightedIndex).toBe(0);
+
+    creating.find('button').simulate('click');
+    await flush();
+
+    expect(onCreate).toHaveBeenCalledWith('x', '#');
+    expect(input().node.value).toBe('Hi #x-new');
+  });
+
+  it('should not require the loading component', () => {
+    expect(() =>
+      mount(
+        <ReactTextareaAutocomplete trigger={{}}>
+          {({ getTextareaProps }) => <textarea {...getTextareaProps()} />}
+        </ReactTextareaAutocomplete>,
+      ),
+    ).not.toThrow();
   });
 });
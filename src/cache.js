@@ -0,0 +1,128 @@
+// @flow
+
+import type { sectionType } from './utils';
+
+type itemsType = Array<Object | string>;
+
+export type cacheSettingsType = {
+  maxSize?: number,
+  ttl?: number,
+  refine?: (Object | string, string) => boolean,
+  isComplete?: (itemsType, string) => boolean,
+};
+
+type entryType = {|
+  items: itemsType,
+  sections: ?Array<sectionType>,
+  complete: boolean,
+  expires: number,
+|};
+
+const DEFAULT_MAX_SIZE = 50;
+
+// Cache of dataProvider results keyed by token,
+// when it's full the least recently used entry is dropped
+export default class ResultsCache {
+  entries: Map<string, entryType>;
+
+  maxSize: number;
+
+  ttl: number;
+
+  refine: ?(Object | string, string) => boolean;
+
+  isComplete: (itemsType, string) => boolean;
+
+  constructor({
+    maxSize = DEFAULT_MAX_SIZE,
+    ttl = Infinity,
+    refine,
+    isComplete = () => true,
+  }: cacheSettingsType = {}) {
+    this.entries = new Map();
+    this.maxSize = maxSize;
+    this.ttl = ttl;
+    this.refine = refine;
+    this.isComplete = isComplete;
+  }
+
+  getEntry(token: string): ?entryType {
+    const entry = this.entries.get(token);
+    if (!entry) return null;
+
+    this.entries.delete(token);
+    if (entry.expires <= Date.now()) return null;
+
+    // move the entry to the end, so it's the most recently used one
+    this.entries.set(token, entry);
+    return entry;
+  }
+
+  /**
+   * Returns cached items for the token. In the refine mode it filters the items
+   * of the shorter token which the given one extends, when that token returned the complete list.
+   */
+  get(token: string): ?itemsType {
+    const entry = this.getEntry(token);
+    if (entry) return entry.items;
+
+    const { refine } = this;
+    if (!refine) return null;
+
+    const keys = Array.from(this.entries.keys())
+      .filter(key => token.startsWith(key))
+      .sort((a, b) => b.length - a.length);
+
+    for (let i = 0; i < keys.length; i += 1) {
+      const base = this.getEntry(keys[i]);
+
+      if (base && base.complete) {
+        const items = base.items.filter(item => refine(item, token));
+        this.store(token, items, true, base.sections);
+
+        return items;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Returns sections of the cached items, call it after get()
+   */
+  getSections(token: string): ?Array<sectionType> {
+    const entry = this.entries.get(token);
+
+    return entry && entry.sections;
+  }
+
+  set(token: string, items: itemsType, sections: ?Array<sectionType>) {
+    this.store(token, items, this.isComplete(items, token), sections);
+  }
+
+  store(
+    token: string,
+    items: itemsType,
+    complete: boolean,
+    sections: ?Array<sectionType>,
+  ) {
+    this.entries.delete(token);
+    this.entries.set(token, {
+      items,
+      sections,
+      complete,
+      expires: Date.now() + this.ttl,
+    });
+
+    // the least recently used entries are at the beginning
+    if (this.entries.size > this.maxSize) {
+      Array.from(this.entries.keys())
+        .slice(0, this.entries.size - this.maxSize)
+        .forEach(key => this.entries.delete(key));
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
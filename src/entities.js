@@ -0,0 +1,186 @@
+// @flow
+
+import { escapeRegExp } from './utils';
+
+export type entityType = {|
+  item: Object | string,
+  trigger: string,
+  start: number,
+  end: number,
+|};
+
+export type changedRangeType = {|
+  start: number,
+  end: number,
+  length: number,
+|};
+
+/**
+ * Finds the part of the old value which was replaced by the edit.
+ * Returns the range in the old value and the length of the text inserted instead of it.
+ * The end of the edit in the new value (usually the caret) resolves ambiguous cases,
+ * e.g. when "@" is typed right before "@jane".
+ */
+export const getChangedRange = (
+  oldValue: string,
+  newValue: string,
+  editEnd?: ?number,
+): ?changedRangeType => {
+  if (oldValue === newValue) return null;
+
+  const maxSuffix =
+    typeof editEnd === 'number'
+      ? Math.max(newValue.length - editEnd, 0)
+      : newValue.length;
+
+  let suffix = 0;
+  while (
+    suffix < Math.min(oldValue.length, newValue.length, maxSuffix) &&
+    oldValue[oldValue.length - suffix - 1] ===
+      newValue[newValue.length - suffix - 1]
+  ) {
+    suffix += 1;
+  }
+
+  let prefix = 0;
+  while (
+    prefix < Math.min(oldValue.length, newValue.length) - suffix &&
+    oldValue[prefix] === newValue[prefix]
+  ) {
+    prefix += 1;
+  }
+
+  return {
+    start: prefix,
+    end: oldValue.length - suffix,
+    length: newValue.length - suffix - prefix,
+  };
+};
+
+/**
+ * Moves the entities after the edit, the entities which were edited are dropped.
+ * The same array is returned when no entity has changed.
+ */
+export const updateEntities = (
+  entities: Array<entityType>,
+  range: ?changedRangeType,
+): Array<entityType> => {
+  if (!range || !entities.length) return entities;
+
+  const { start, end, length } = range;
+  const delta = length - (end - start);
+
+  let changed = false;
+  const result = entities.reduce((acc, entity) => {
+    if (entity.end <= start) {
+      acc.push(entity);
+    } else if (entity.start >= end) {
+      acc.push({
+        item: entity.item,
+        trigger: entity.trigger,
+        start: entity.start + delta,
+        end: entity.end + delta,
+      });
+      changed = changed || delta !== 0;
+    } else {
+      changed = true;
+    }
+
+    return acc;
+  }, []);
+
+  return changed ? result : entities;
+};
+
+export const addEntity = (
+  entities: Array<entityType>,
+  entity: entityType,
+): Array<entityType> =>
+  [...entities, entity].sort((a, b) => a.start - b.start);
+
+type markupSettingsType = {
+  triggers: Array<string>,
+  getId: (item: Object | string, trigger: string) => string,
+  getItem?: (id: string, display: string, trigger: string) => Object | string,
+};
+
+const escapeMarkup = (text: string, chars: string): string =>
+  text.replace(new RegExp(`[\\\\${chars}]`, 'g'), '\\$&');
+
+const unescapeMarkup = (text: string): string => text.replace(/\\(.)/g, '$1');
+
+/**
+ * Creates serializer of the value with the entities into the markup like "@[Jane](user:42)"
+ * (trigger, text of the entity without the trigger, id of the item) and the parser of it.
+ */
+export const createMarkupSerializer = ({
+  triggers,
+  getId,
+  getItem = (id, display) => ({ id, display }),
+}: markupSettingsType) => {
+  // the longest trigger first, so "::" is not parsed as ":"
+  const triggersPattern = [...triggers]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|');
+  // the plain text like "@[x](y)" gets a backslash after the trigger, so it's not parsed
+  // as an entity (the backslashes already there get one more, so they're restored too)
+  const escapePlainText = (text: string): string =>
+    text.replace(new RegExp(`(${triggersPattern})(\\\\*)\\[`, 'g'), '$1$2\\[');
+  const unescapePlainText = (text: string): string =>
+    text.replace(new RegExp(`(${triggersPattern})\\\\(\\\\*)\\[`, 'g'), '$1$2[');
+
+  return {
+    serialize(value: string, entities: Array<entityType>): string {
+      let markup = '';
+      let position = 0;
+
+      [...entities]
+        .sort((a, b) => a.start - b.start)
+        .forEach(({ item, trigger, start, end }) => {
+          const text = value.slice(start, end);
+          const display = text.startsWith(trigger)
+            ? text.slice(trigger.length)
+            : text;
+
+          markup += escapePlainText(value.slice(position, start));
+          markup += `${trigger}[${escapeMarkup(display, '\\]')}](${escapeMarkup(
+            getId(item, trigger),
+            '\\)',
+          )})`;
+          position = end;
+        });
+
+      return markup + escapePlainText(value.slice(position));
+    },
+
+    parse(markup: string): { value: string, entities: Array<entityType> } {
+      const regExp = new RegExp(
+        `(${triggersPattern})\\[((?:\\\\.|[^\\]\\\\])*)\\]\\(((?:\\\\.|[^)\\\\])*)\\)`,
+        'g',
+      );
+      const entities = [];
+      let value = '';
+      let position = 0;
+      let match = regExp.exec(markup);
+
+      while (match) {
+        const [, trigger, display, id] = match;
+        const text = `${trigger}${unescapeMarkup(display)}`;
+
+        value += unescapePlainText(markup.slice(position, match.index));
+        entities.push({
+          item: getItem(unescapeMarkup(id), unescapeMarkup(display), trigger),
+          trigger,
+          start: value.length,
+          end: value.length + text.length,
+        });
+        value += text;
+        position = match.index + match[0].length;
+        match = regExp.exec(markup);
+      }
+
+      return { value: value + unescapePlainText(markup.slice(position)), entities };
+    },
+  };
+};
@@ -0,0 +1,152 @@
+// @flow
+
+export type rangeType = [number, number];
+
+// matched characters of the string item, or of each matched key of the object item
+export type matchRangesType =
+  | Array<rangeType>
+  | { [key: string]: Array<rangeType> };
+
+type matchType = {|
+  score: number,
+  ranges: matchRangesType,
+|};
+
+type fuzzyMatcherSettingsType = {
+  keys?: Array<string>,
+  limit?: number,
+};
+
+const WORD_SEPARATOR = /[\s_\-.:/]/;
+
+const isWordStart = (text: string, index: number): boolean =>
+  index === 0 || WORD_SEPARATOR.test(text[index - 1]);
+
+/**
+ * Matches the query in the text case-insensitively. The whole query found in the text
+ * is ranked above the query characters scattered over the text, the start of the text
+ * and the starts of the words are preferred and the shorter texts win ties.
+ */
+const matchText = (
+  text: string,
+  query: string,
+): ?{| score: number, ranges: Array<rangeType> |} => {
+  const lowerText = text.toLowerCase();
+  const lowerQuery = query.toLowerCase();
+  const lengthPenalty = text.length / 1000;
+
+  const index = lowerText.indexOf(lowerQuery);
+  if (index !== -1) {
+    let score = 100;
+    if (index === 0) {
+      score = 300;
+    } else if (isWordStart(text, index)) {
+      score = 200;
+    }
+
+    return {
+      score: score - (index / 100) - lengthPenalty,
+      ranges: [[index, index + query.length]],
+    };
+  }
+
+  const ranges = [];
+  let points = 0;
+  let previous = -2;
+  for (let i = 0; i < lowerQuery.length; i += 1) {
+    const position = lowerText.indexOf(lowerQuery[i], previous + 1);
+    if (position === -1) return null;
+
+    const range = ranges[ranges.length - 1];
+    if (range && position === previous + 1) {
+      range[1] += 1;
+      points += 2;
+    } else {
+      ranges.push([position, position + 1]);
+      points += isWordStart(text, position) ? 2 : 1;
+    }
+
+    previous = position;
+  }
+
+  return {
+    score: ((points / (2 * lowerQuery.length)) * 50) - lengthPenalty,
+    ranges,
+  };
+};
+
+/**
+ * Creates dataProvider which ranks the static items by the fuzzy match of the token
+ * and matchRanges which tells the item component what characters were matched.
+ * The object items are matched by the string values of the keys.
+ */
+const createFuzzyMatcher = (
+  items: Array<Object | string>,
+  { keys, limit = Infinity }: fuzzyMatcherSettingsType = {},
+) => {
+  const matchItem = (item: Object | string, token: string): ?matchType => {
+    if (typeof item === 'string') {
+      const match = matchText(item, token);
+      return match && { score: match.score, ranges: match.ranges };
+    }
+
+    if (!keys) {
+      throw new Error('RTA: Keys have to be defined to match the object items!');
+    }
+
+    // the refinement of the item is lost in the callback
+    const object: Object = item;
+    let score = -Infinity;
+    const ranges = {};
+    keys.forEach((key) => {
+      const value = object[key];
+      const match = typeof value === 'string' && matchText(value, token);
+      if (!match) return;
+
+      ranges[key] = match.ranges;
+      score = Math.max(score, match.score);
+    });
+
+    return Object.keys(ranges).length ? { score, ranges } : null;
+  };
+
+  // matches of the latest token, the items are rendered many times for the same token
+  let matchesToken = null;
+  let matches: Map<Object | string, ?matchType> = new Map();
+  const getMatch = (item: Object | string, token: string): ?matchType => {
+    if (token !== matchesToken) {
+      matchesToken = token;
+      matches = new Map();
+    }
+
+    if (!matches.has(item)) matches.set(item, matchItem(item, token));
+
+    return matches.get(item);
+  };
+
+  return {
+    dataProvider: (token: string): Array<Object | string> => {
+      if (!token) return items.slice(0, limit);
+
+      return items
+        .map((item, index) => ({ item, index, match: getMatch(item, token) }))
+        .filter(({ match }) => match)
+        .sort(
+          (a, b) =>
+            (b.match ? b.match.score : 0) - (a.match ? a.match.score : 0) ||
+            a.index - b.index,
+        )
+        .slice(0, limit)
+        .map(({ item }) => item);
+    },
+
+    matchRanges: (item: Object | string, token: string): ?matchRangesType => {
+      if (!token) return null;
+
+      const match = getMatch(item, token);
+      return match ? match.ranges : null;
+    },
+  };
+};
+
+export default createFuzzyMatcher;
@@ -0,0 +1,81 @@
+// @flow
+
+import type { entityType } from './entities';
+
+export type snapshotType = {|
+  value: string,
+  caretPosition: number,
+  entities: Array<entityType>,
+|};
+
+type entryType = {|
+  before: snapshotType,
+  after: snapshotType,
+|};
+
+const DEFAULT_MAX_SIZE = 100;
+
+// Fallback undo/redo history of the edits made by the autocomplete, it's used only when
+// the browser can't insert the text natively (so the edit is missing in its own undo history).
+// The edit can be undone only while the value is the same as right after the edit.
+export default class EditHistory {
+  undoStack: Array<entryType>;
+
+  redoStack: Array<entryType>;
+
+  maxSize: number;
+
+  constructor(maxSize: number = DEFAULT_MAX_SIZE) {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.maxSize = maxSize;
+  }
+
+  push(before: snapshotType, after: snapshotType) {
+    this.undoStack.push({ before, after });
+    if (this.undoStack.length > this.maxSize) this.undoStack.shift();
+
+    this.redoStack = [];
+  }
+
+  canUndo(value: string): boolean {
+    const entry = this.undoStack[this.undoStack.length - 1];
+
+    return !!entry && entry.after.value === value;
+  }
+
+  canRedo(value: string): boolean {
+    const entry = this.redoStack[this.redoStack.length - 1];
+
+    return !!entry && entry.before.value === value;
+  }
+
+  /**
+   * Returns the snapshot before the last edit, null when the edit can't be undone
+   */
+  undo(value: string): ?snapshotType {
+    if (!this.canUndo(value)) return null;
+
+    const entry = this.undoStack.pop();
+    this.redoStack.push(entry);
+
+    return entry.before;
+  }
+
+  /**
+   * Returns the snapshot after the last undone edit, null when there is nothing to redo
+   */
+  redo(value: string): ?snapshotType {
+    if (!this.canRedo(value)) return null;
+
+    const entry = this.redoStack.pop();
+    this.undoStack.push(entry);
+
+    return entry.after;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
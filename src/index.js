@@ -2,3 +2,6 @@
 import './style.css';
 
 export { default } from './Textarea';
+export { createMarkupSerializer } from './entities';
+export { default as createFuzzyMatcher } from './fuzzy';
+export { createLocalStorage, createMemoryStorage } from './usage';
@@ -1,74 +1,188 @@
 // @flow
 
-export const KEY_CODES = {
-  ESC: 27,
-  UP: 38,
-  DOWN: 40,
-  ENTER: 13,
-  TAB: 9,
+export type keyBindingType =
+  | string
+  | {
+      key: string,
+      altKey?: boolean,
+      ctrlKey?: boolean,
+      metaKey?: boolean,
+      shiftKey?: boolean,
+    };
+
+export type keyBindingsType = {
+  commit?: Array<keyBindingType>,
+  dismiss?: Array<keyBindingType>,
+  next?: Array<keyBindingType>,
+  previous?: Array<keyBindingType>,
+  pageDown?: Array<keyBindingType>,
+  pageUp?: Array<keyBindingType>,
+  first?: Array<keyBindingType>,
+  last?: Array<keyBindingType>,
+  retry?: Array<keyBindingType>,
+  undo?: Array<keyBindingType>,
+  redo?: Array<keyBindingType>,
+};
+
+export const DEFAULT_KEY_BINDINGS: keyBindingsType = {
+  commit: ['Enter', 'Tab'],
+  dismiss: ['Escape'],
+  next: ['ArrowDown', { key: 'n', ctrlKey: true }],
+  previous: ['ArrowUp', { key: 'p', ctrlKey: true }],
+  pageDown: ['PageDown'],
+  pageUp: ['PageUp'],
+  first: ['Home'],
+  last: ['End'],
+  retry: ['Enter'],
+  undo: [
+    { key: 'z', ctrlKey: true, shiftKey: false },
+    { key: 'z', metaKey: true, shiftKey: false },
+  ],
+  redo: [
+    { key: 'z', ctrlKey: true, shiftKey: true },
+    { key: 'z', metaKey: true, shiftKey: true },
+    { key: 'y', ctrlKey: true },
+  ],
+};
+
+// older browsers use non-standard names of some keys
+const KEY_ALIASES = {
+  Esc: 'Escape',
+  Up: 'ArrowUp',
+  Down: 'ArrowDown',
+  Left: 'ArrowLeft',
+  Right: 'ArrowRight',
+  Spacebar: ' ',
+};
+
+// fallback for browsers which don't support KeyboardEvent.key at all
+const KEY_CODES = {
+  Tab: 9,
+  Enter: 13,
+  Escape: 27,
+  ' ': 32,
+  PageUp: 33,
+  PageDown: 34,
+  End: 35,
+  Home: 36,
+  ArrowUp: 38,
+  ArrowDown: 40,
+};
+
+const MODIFIERS = ['altKey', 'ctrlKey', 'metaKey', 'shiftKey'];
+
+const normalizeKey = (key: string): string =>
+  (KEY_ALIASES[key] || key).toLowerCase();
+
+const getKey = (e: KeyboardEvent): string => {
+  if (e.key) return normalizeKey(e.key);
+
+  const code = e.keyCode || e.which;
+  return normalizeKey(
+    Object.keys(KEY_CODES).find(key => KEY_CODES[key] === code) || '',
+  );
+};
+
+/**
+ * Checks whether the event matches the key binding. Modifiers which aren't mentioned
+ * in the binding are not taken into account, e.g. "Enter" matches also Shift+Enter.
+ */
+export const matchKeyBinding = (
+  e: KeyboardEvent,
+  binding: keyBindingType,
+): boolean => {
+  const { key, ...modifiers } =
+    typeof binding === 'string' ? { key: binding } : binding;
+
+  // keys which confirm or cancel the composition belong to the IME
+  // (Safari reports keyCode 229 instead of isComposing)
+  if (e.isComposing || e.keyCode === 229) return false;
+
+  if (getKey(e) !== normalizeKey(key)) return false;
+
+  return MODIFIERS.every(
+    modifier =>
+      modifiers[modifier] === undefined ||
+      // $FlowFixMe
+      !!e[modifier] === modifiers[modifier],
+  );
 };
 
-// This is self-made key shortcuts manager, used for caching key strokes
+type bindingsType = Array<keyBindingType> | (() => ?Array<keyBindingType>);
+
+// This is self-made key shortcuts manager, used for caching key strokes of one element.
+// Every TextareaAutocomplete component has its own instance bound to its textarea.
 class Listener {
   index: number;
 
   listeners: {
-    [number]: {| keyCode: Array<number>, fn: Function |},
+    [number]: {| bindings: bindingsType, fn: Function |},
   };
 
-  isListening: boolean;
+  element: ?EventTarget;
 
   f: Function;
 
   constructor() {
     this.index = 0;
     this.listeners = {};
-    this.isListening = false;
+    this.element = null;
 
     this.f = (e: KeyboardEvent) => {
-      const code = e.keyCode || e.which;
-      for (let i = 0; i < this.index; i += 1) {
-        const { keyCode, fn } = this.listeners[i];
-        if (keyCode.includes(code)) fn(e);
-      }
+      // handlers can add or remove listeners (e.g. by closing the list), so iterate over a copy
+      Object.keys(this.listeners).forEach((id) => {
+        const listener = this.listeners[+id];
+        if (!listener) return;
+
+        const bindings =
+          typeof listener.bindings === 'function'
+            ? listener.bindings()
+            : listener.bindings;
+
+        if (bindings && bindings.some(binding => matchKeyBinding(e, binding))) {
+          listener.fn(e);
+        }
+      });
     };
   }
 
-  startListen = () => {
-    if (!this.isListening) {
-      // prevent multiple listeners in case of multiple TextareaAutocomplete components on page
-      document.addEventListener('keydown', this.f);
-      this.isListening = true;
-    }
+  startListen = (element: EventTarget) => {
+    if (this.element === element) return;
+
+    this.stopListen();
+    element.addEventListener('keydown', this.f);
+    this.element = element;
   };
 
   stopListen = () => {
-    document.removeEventListener('keydown', this.f);
-    this.isListening = false;
-  };
+    if (!this.element) return;
 
-  add = (keyCodes: Array<number> | number, fn: Function) => {
-    let keyCode = keyCodes;
+    this.element.removeEventListener('keydown', this.f);
+    this.element = null;
+  };
 
-    if (typeof keyCode !== 'object') keyCode = [keyCode];
+  /**
+   * Bindings can be passed also as a function, so they are always read from the current props.
+   */
+  add = (bindings: bindingsType, fn: Function): number => {
+    const id = this.index;
+    this.index += 1;
 
-    this.listeners[this.index] = {
-      keyCode,
+    this.listeners[id] = {
+      bindings,
       fn,
     };
 
-    return (this.index += 1);
+    return id;
   };
 
   remove = (id: number) => {
     delete this.listeners[id];
-    this.index -= 1;
   };
 
   removeAll = () => {
     this.listeners = {};
-    this.index = 0;
   };
 }
 
-export default new Listener();
+export default Listener;
@@ -0,0 +1,104 @@
+// @flow
+
+import getCaretCoordinates from 'textarea-caret';
+
+export type caretRectType = {|
+  top: number,
+  left: number,
+  height: number,
+|};
+
+export type dropdownPositionType = {|
+  top: number,
+  left: number,
+  placement: 'bottom' | 'top',
+|};
+
+export type directionType = 'ltr' | 'rtl';
+
+type sizeType = {
+  width: number,
+  height: number,
+};
+
+/**
+ * Returns the position of the caret relative to the viewport,
+ * the scroll offset of the textarea is taken into account.
+ */
+export const getCaretRect = (
+  textarea: HTMLElement,
+  position: number,
+): caretRectType => {
+  const rect = textarea.getBoundingClientRect();
+  const caret = getCaretCoordinates(textarea, position);
+  const style = window.getComputedStyle(textarea);
+  const lineHeight =
+    parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.2 || 0;
+
+  return {
+    top: (rect.top + caret.top) - textarea.scrollTop,
+    left: (rect.left + caret.left) - textarea.scrollLeft,
+    height: caret.height || lineHeight,
+  };
+};
+
+/**
+ * Returns the resolved text direction of the element. It respects the dir attribute
+ * (including dir="auto" which is resolved by the content) as well as the CSS direction.
+ */
+export const getTextDirection = (element: HTMLElement): directionType => {
+  const { direction } = window.getComputedStyle(element);
+  if (direction) return direction === 'rtl' ? 'rtl' : 'ltr';
+
+  // environments without the computed direction, resolve at least the dir attribute
+  let node = element;
+  while (node && node.getAttribute) {
+    const dir = node.getAttribute('dir');
+    if (dir === 'rtl' || dir === 'ltr') return dir;
+    node = node.parentNode;
+  }
+
+  return 'ltr';
+};
+
+/**
+ * Computes the position of the dropdown relative to the viewport. It's placed under the caret,
+ * if there is not enough space below, it's flipped above the caret (when there is more space),
+ * and it's shifted horizontally to stay within the viewport.
+ * In the right-to-left text the dropdown is anchored by its right edge, so it opens to the left.
+ */
+export const getDropdownPosition = (
+  caret: caretRectType,
+  dropdown: sizeType,
+  viewport: sizeType,
+  direction: directionType = 'ltr',
+): dropdownPositionType => {
+  const spaceBelow = viewport.height - (caret.top + caret.height);
+  const spaceAbove = caret.top;
+
+  const placement =
+    dropdown.height > spaceBelow && spaceAbove > spaceBelow ? 'top' : 'bottom';
+
+  const top =
+    placement === 'top' ? caret.top - dropdown.height : caret.top + caret.height;
+
+  const preferredLeft =
+    direction === 'rtl' ? caret.left - dropdown.width : caret.left;
+  const left = Math.max(
+    Math.min(preferredLeft, viewport.width - dropdown.width),
+    0,
+  );
+
+  return { top, left, placement };
+};
+
+export const getViewportSize = (): sizeType => {
+  const { documentElement } = document;
+
+  return {
+    width:
+      (documentElement && documentElement.clientWidth) || window.innerWidth,
+    height:
+      (documentElement && documentElement.clientHeight) || window.innerHeight,
+  };
+};
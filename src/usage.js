@@ -0,0 +1,175 @@
+// @flow
+
+export type usageEntryType = {|
+  key: string,
+  item: Object | string,
+  count: number,
+  lastUsed: number,
+|};
+
+type entriesType = Array<usageEntryType>;
+
+export type usageStorageType = {
+  get: (key: string) => ?entriesType | Promise<?entriesType>,
+  set: (key: string, entries: entriesType) => mixed,
+};
+
+export type usageSettingsType = {
+  storage?: usageStorageType,
+  storageKey?: string,
+  maxSize?: number,
+};
+
+const DEFAULT_MAX_SIZE = 20;
+
+// the weight of a selection halves in a week
+const HALF_LIFE = 7 * 24 * 60 * 60 * 1000;
+
+const getScore = ({ count, lastUsed }: usageEntryType, now: number): number =>
+  count * (0.5 ** ((now - lastUsed) / HALF_LIFE));
+
+export const createMemoryStorage = (): usageStorageType => {
+  const entries = {};
+
+  return {
+    get: key => entries[key],
+    set: (key, value) => {
+      entries[key] = value;
+    },
+  };
+};
+
+// the items are stored as JSON, so they should be plain objects or strings
+export const createLocalStorage = (): usageStorageType => ({
+  get: (key) => {
+    try {
+      return JSON.parse(window.localStorage.getItem(key));
+    } catch (e) {
+      // the storage is not available (e.g. private mode) or contains invalid data
+      return null;
+    }
+  },
+  set: (key, entries) => {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(entries));
+    } catch (e) {
+      // the storage is full or not available, the usage is kept only in memory
+    }
+  },
+});
+
+// Tracks the selected items of one trigger, frequently and recently selected items
+// are ranked first. The entries are loaded from the storage once, then they are kept in memory.
+export default class UsageTracker {
+  storage: usageStorageType;
+
+  storageKey: string;
+
+  maxSize: number;
+
+  entries: entriesType;
+
+  loading: ?Promise<void>;
+
+  loaded: boolean;
+
+  constructor({
+    storage = createMemoryStorage(),
+    storageKey = 'rta-usage',
+    maxSize = DEFAULT_MAX_SIZE,
+  }: usageSettingsType = {}) {
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.maxSize = maxSize;
+    this.entries = [];
+    this.loading = null;
+    this.loaded = false;
+  }
+
+  /**
+   * Loads the entries from the storage, the synchronous storage is loaded right away
+   */
+  load(): Promise<void> {
+    if (this.loading) return this.loading;
+
+    let stored;
+    try {
+      stored = this.storage.get(this.storageKey);
+    } catch (e) {
+      stored = null;
+    }
+
+    const setEntries = (entries: ?entriesType) => {
+      if (Array.isArray(entries)) this.entries = entries;
+      this.loaded = true;
+    };
+
+    if (stored && typeof stored.then === 'function') {
+      this.loading = Promise.resolve(stored).then(setEntries, () =>
+        setEntries(null),
+      );
+    } else {
+      setEntries((stored: any));
+      this.loading = Promise.resolve();
+    }
+
+    return this.loading;
+  }
+
+  getSortedEntries(): entriesType {
+    const now = Date.now();
+
+    return [...this.entries].sort(
+      (a, b) => getScore(b, now) - getScore(a, now),
+    );
+  }
+
+  track(key: string, item: Object | string) {
+    const entry = this.entries.find(e => e.key === key);
+    const updated = {
+      key,
+      item,
+      count: entry ? entry.count + 1 : 1,
+      lastUsed: Date.now(),
+    };
+
+    this.entries = this.getSortedEntries()
+      .filter(e => e.key !== key)
+      .slice(0, this.maxSize - 1)
+      .concat(updated);
+
+    // the failure of the storage doesn't break the selection
+    Promise.resolve()
+      .then(() => this.storage.set(this.storageKey, this.entries))
+      .catch(() => {});
+  }
+
+  /**
+   * The used items go first, ordered by their score, the rest keeps its order
+   */
+  rank(
+    items: Array<Object | string>,
+    getKey: (Object | string, number) => string,
+  ): Array<Object | string> {
+    if (!this.entries.length) return items;
+
+    const now = Date.now();
+    const scores = {};
+    this.entries.forEach((entry) => {
+      scores[entry.key] = getScore(entry, now);
+    });
+
+    return items
+      .map((item, index) => ({
+        item,
+        index,
+        score: scores[getKey(item, index)] || 0,
+      }))
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(({ item }) => item);
+  }
+
+  getRecent(): Array<Object | string> {
+    return this.getSortedEntries().map(({ item }) => item);
+  }
+}
@@ -0,0 +1,311 @@
+// @flow
+
+export type activationType = 'anywhere' | 'afterWhitespace' | 'lineStart';
+
+export type tokenSettingsType = {
+  activation?: activationType,
+  allowedChars?: RegExp,
+  allowWhitespace?: boolean,
+  maxWords?: number,
+};
+
+export type caretPositionType = 'start' | 'end' | number;
+
+// what the output function of the trigger returns
+export type outputType =
+  | string
+  | {
+      text: string,
+      caretPosition?: caretPositionType,
+      keepWordAfterCaret?: boolean,
+    };
+
+export type normalizedOutputType = {|
+  text: string,
+  caretPosition: number,
+  keepWordAfterCaret: boolean,
+|};
+
+export type triggerMatchType = {|
+  trigger: string,
+  token: string,
+  start: number,
+|};
+
+/**
+ * Invisible bidi marks and embedding/isolate controls (ALM, LRM, RLM, LRE…RLO, LRI…PDI)
+ * which are used in mixed bidi text. They separate words in the same way as whitespace does.
+ */
+export const BIDI_CONTROLS = '\\u061c\\u200e\\u200f\\u202a-\\u202e\\u2066-\\u2069';
+
+// letters, marks and digits of any script (Arabic, Hebrew…) where Unicode property escapes work
+const createDefaultAllowedChars = (): RegExp => {
+  try {
+    return new RegExp('[\\p{L}\\p{M}\\p{N}_]', 'u');
+  } catch (e) {
+    return /\w/;
+  }
+};
+
+const DEFAULT_ALLOWED_CHARS = createDefaultAllowedChars();
+const DEFAULT_MAX_WORDS = 2;
+
+// what has to precede the trigger so it's considered as the trigger
+const ACTIVATION_PREFIX = {
+  anywhere: '()',
+  afterWhitespace: `(^|[\\s${BIDI_CONTROLS}])`,
+  lineStart: `((?:^|\\n)[${BIDI_CONTROLS}]*)`,
+};
+
+/**
+ * Escapes all characters which have a special meaning inside of a regular expression,
+ * so any string (e.g. "[[", "^" or "\") can be used as a literal part of the pattern.
+ */
+export const escapeRegExp = (text: string): string =>
+  text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+/**
+ * Creates the RegExp which matches the trigger and the token typed after it right before the caret.
+ *
+ * Captured groups: 1. text preceding the trigger required by the activation rule, 2. token
+ */
+export const createTokenRegExp = (
+  trigger: string,
+  {
+    activation = 'anywhere',
+    allowedChars = DEFAULT_ALLOWED_CHARS,
+    allowWhitespace = false,
+    maxWords = DEFAULT_MAX_WORDS,
+  }: tokenSettingsType = {},
+): RegExp => {
+  const char = `(?:${allowedChars.source})`;
+  const token = allowWhitespace
+    ? `(?:${char}+(?: ${char}*){0,${Math.max(maxWords - 1, 0)}})?`
+    : `${char}*`;
+  const flags = `${allowedChars.ignoreCase ? 'i' : ''}${allowedChars.unicode
+    ? 'u'
+    : ''}`;
+
+  if (!ACTIVATION_PREFIX[activation]) {
+    throw new Error(`RTA: Unknown trigger activation "${activation}"!`);
+  }
+
+  return new RegExp(
+    `${ACTIVATION_PREFIX[activation]}${escapeRegExp(trigger)}(${token})$`,
+    // $FlowFixMe
+    flags,
+  );
+};
+
+/**
+ * Creates matcher which finds the trigger and its token right before the caret.
+ * The trigger closest to the caret wins, in case of a tie the longest one
+ * (so "::" wins over ":" when one is a prefix of another).
+ */
+export const createTriggerMatcher = (triggers: { +[string]: Object }) => {
+  const regExps = Object.keys(triggers).map(trigger => ({
+    trigger,
+    regExp: createTokenRegExp(trigger, triggers[trigger]),
+  }));
+
+  return (text: string): ?triggerMatchType =>
+    regExps.reduce((best, { trigger, regExp }) => {
+      const match = regExp.exec(text);
+      if (!match) return best;
+
+      const token = match[2];
+      if (
+        best &&
+        (best.token.length < token.length ||
+          (best.token.length === token.length &&
+            best.trigger.length >= trigger.length))
+      ) {
+        return best;
+      }
+
+      return { trigger, token, start: match.index + match[1].length };
+    }, null);
+};
+
+export type sectionType = {|
+  title: string,
+  items: Array<Object | string>,
+|};
+
+export type providerPageType = {|
+  items: Array<Object | string>,
+  hasMore: boolean,
+  sections: ?Array<sectionType>,
+|};
+
+const isSection = (section: any): boolean =>
+  !!section && typeof section === 'object' && Array.isArray(section.items);
+
+/**
+ * Unifies the result of dataProvider, it can be the array of all items,
+ * one page of them ({ items, hasMore }) or the items grouped into sections ({ sections, hasMore })
+ */
+export const normalizeProviderResult = (result: any): providerPageType => {
+  if (Array.isArray(result)) {
+    return { items: result, hasMore: false, sections: null };
+  }
+
+  if (result && typeof result === 'object' && Array.isArray(result.items)) {
+    return { items: result.items, hasMore: !!result.hasMore, sections: null };
+  }
+
+  if (
+    result &&
+    typeof result === 'object' &&
+    Array.isArray(result.sections) &&
+    result.sections.every(isSection)
+  ) {
+    const sections = result.sections.map(({ title, items }) => ({
+      title: String(title),
+      items,
+    }));
+
+    return {
+      items: sections.reduce((acc, { items }) => acc.concat(items), []),
+      hasMore: !!result.hasMore,
+      sections,
+    };
+  }
+
+  throw new Error(
+    'RTA: Trigger provider has to provide an array, { items, hasMore } or { sections, hasMore }!',
+  );
+};
+
+/**
+ * Finds the section title of each item. The items can be a subset of the sections' items
+ * in the same order (e.g. filtered by the cache), the items not found in the sections
+ * have no title.
+ */
+export const getSectionTitles = (
+  items: Array<Object | string>,
+  sections: ?Array<sectionType>,
+): Array<?string> => {
+  if (!sections) return items.map(() => null);
+
+  const sectionItems = sections.reduce(
+    (acc, { title, items: itemsOfSection }) =>
+      acc.concat(itemsOfSection.map(item => ({ title, item }))),
+    [],
+  );
+
+  let position = 0;
+  return items.map((item) => {
+    const start = position;
+    while (position < sectionItems.length && sectionItems[position].item !== item) {
+      position += 1;
+    }
+
+    if (position === sectionItems.length) {
+      position = start;
+      return null;
+    }
+
+    position += 1;
+    return sectionItems[position - 1].title;
+  });
+};
+
+export type scrollActionType =
+  | 'next'
+  | 'previous'
+  | 'pageDown'
+  | 'pageUp'
+  | 'first'
+  | 'last';
+
+export const SCROLL_ACTIONS: Array<scrollActionType> = [
+  'next',
+  'previous',
+  'pageDown',
+  'pageUp',
+  'first',
+  'last',
+];
+
+// how many items are skipped by PageUp and PageDown
+const PAGE_SIZE = 5;
+
+/**
+ * Returns the position of the item highlighted after the keyboard action.
+ * The list wraps around, but not while the next page is loading.
+ */
+export const getNextPosition = (
+  action: scrollActionType,
+  position: number,
+  count: number,
+  hasMore: boolean,
+): number => {
+  let newPosition;
+  switch (action) {
+    case 'next':
+      newPosition = position + 1;
+      break;
+    case 'previous':
+      newPosition = position - 1;
+      break;
+    case 'pageDown':
+      newPosition = Math.min(position + PAGE_SIZE, count - 1);
+      break;
+    case 'pageUp':
+      newPosition = Math.max(position - PAGE_SIZE, 0);
+      break;
+    case 'first':
+      newPosition = 0;
+      break;
+    case 'last':
+      newPosition = count - 1;
+      break;
+    default:
+      newPosition = position;
+      break;
+  }
+
+  if (hasMore && newPosition >= count) newPosition = count - 1;
+
+  return ((newPosition % count) + count) % count;
+};
+
+/**
+ * Creates AbortController if the environment supports it, so dataProvider can cancel its requests.
+ */
+export const createAbortController = (): ?{
+  signal: Object,
+  abort: () => void,
+} => {
+  if (typeof window === 'undefined' || typeof window.AbortController !== 'function') {
+    return null;
+  }
+
+  return new window.AbortController();
+};
+
+/**
+ * Unifies the result of the output function, the caret position is turned into the offset
+ * within the text (the end of the text by default).
+ */
+export const normalizeOutput = (output: outputType): normalizedOutputType => {
+  if (typeof output === 'string') {
+    return { text: output, caretPosition: output.length, keepWordAfterCaret: false };
+  }
+
+  if (!output || typeof output.text !== 'string') {
+    throw new Error('RTA: Output has to be a string or an object with the text!');
+  }
+
+  const { text, caretPosition = 'end', keepWordAfterCaret = false } = output;
+
+  let offset = text.length;
+  if (caretPosition === 'start') {
+    offset = 0;
+  } else if (typeof caretPosition === 'number') {
+    offset = Math.min(Math.max(caretPosition, 0), text.length);
+  }
+
+  return { text, caretPosition: offset, keepWordAfterCaret };
+};